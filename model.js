@@ -7,6 +7,31 @@
  * @author Sam Sehnert <sam@customd.com>
  * @author Craig Smith <craig.smith@customd.com>
  *
+ * @since 1.5.0 Added save(), destroy() and refresh() to persist individual Result objects.
+ * @since 1.5.0 Added dirty attribute tracking to Result objects.
+ * @since 1.5.0 Added configurable request headers and auth token provider.
+ * @since 1.5.0 Added request, response and error interceptors.
+ * @since 1.5.0 Added automatic retry with exponential backoff.
+ * @since 1.5.0 Added response caching, and de-duplication of identical GET requests.
+ * @since 1.5.0 Added pagination metadata, and range checks to next(), prev() and page().
+ * @since 1.5.0 Added cursor and Link header pagination modes.
+ * @since 1.5.0 Added replace, append and merge load strategies.
+ * @since 1.5.0 Added lifecycle events for requests, resets and result changes.
+ * @since 1.5.0 Added query operators and dotted paths to get_where().
+ * @since 1.5.0 Added the local mode, which filters, sorts, searches and pages in the browser.
+ * @since 1.5.0 Added belongs_to and has_many relations between models.
+ * @since 1.5.0 Added result schemas, with type casting, defaults and validation.
+ * @since 1.5.0 Added computed properties on results.
+ * @since 1.5.0 Added toArray(), toJSON() and export() to collections.
+ * @since 1.5.0 Added request channels, and debounced search.
+ * @since 1.5.0 Added the native Promise mode.
+ * @since 1.5.0 Added transports, with a fetch transport.
+ * @since 1.5.0 Added CD_Model.Mock_Server, an in-memory backend for tests.
+ * @since 1.5.0 Added the history setting, to sync params with the URL.
+ * @since 1.5.0 Added a shared query string serializer and parser, for arrays and nested params.
+ * @since 1.5.0 Added save_all(), update_where() and destroy_where() for bulk changes.
+ * @since 1.5.0 Added optimistic saves and deletes, which are rolled back if their request fails.
+ * @since 1.5.0 Added poll() and stop_polling(), to merge changes into a collection in the background.
  * @since 1.4.2 Added timeout as a configurable setting.
  * @since 1.4.1 Fixed erronious '/' causing 301 redirects
  * @since 1.4.0 Allows the option to make a model abort simultaneous requests.
@@ -19,6 +44,10 @@
  */
 /* global jQuery:true */
 /* global array:true */
+/* global fetch:true */
+/* global AbortController:true */
+/* global WeakRef:true */
+/* global self:true */
 
 var CD_Model, CD_Result;
 
@@ -29,944 +58,6758 @@ var CD_Model, CD_Result;
 
 	"use strict";
 
+	// The global object, which is self in Web Workers, as they don't have a window.
+	var root = typeof window !== 'undefined' ? window : self;
+
 	// Setup default settings.
 	var Model_Collection_defaults = {
 		endpoint 	: '',
 		params 		: {},
 		attribute	: 'data',
 		init		: false,
-		remote 		: false,
-		timeout		: 5000
+		remote 		: true,
+		timeout		: 5000,
+		headers		: {},
+		auth		: false,
+		interceptors: {},
+		retry		: false,
+		cache		: false,
+		pagination	: {},
+		strategy	: null,
+		search_fields	: [],
+		search_debounce	: 0,
+		history		: false,
+		query		: {},
+		bulk		: {},
+		optimistic	: false,
+		abort		: false,
+		promise		: 'jquery',
+		transport	: 'jquery'
+	};
+
+	// Default pagination settings. How the API pages through records, and where to find the metadata.
+	var Pagination_defaults = {
+		mode			: 'offset',
+		total			: 'total',
+		header			: 'X-Total-Count',
+		next_cursor		: 'next_cursor',
+		prev_cursor		: 'prev_cursor',
+		cursor_param	: 'cursor'
+	};
+
+	// Default history settings, used when a model syncs its params with the URL.
+	var History_defaults = {
+		mode			: 'query',
+		namespace		: '',
+		push			: true,
+		params			: null
+	};
+
+	// Default query string settings. How arrays, dates and booleans are written, and whether keys are sorted.
+	var Query_defaults = {
+		arrays			: 'comma',
+		dates			: 'iso',
+		booleans		: 'string',
+		sort			: false
+	};
+
+	// Default bulk settings. Where to send bulk requests, or how many requests to send at once without one.
+	var Bulk_defaults = {
+		endpoint		: null,
+		concurrency		: 4
+	};
+
+	// Default retry settings, used when a model enables retries.
+	var Retry_defaults = {
+		attempts		: 3,
+		delay			: 500,
+		jitter			: 250,
+		methods			: ['get'],
+		statuses		: [0, 408, 429, 500, 502, 503, 504],
+		text_statuses	: ['timeout']
 	};
 
 	/**
-	 * Custom D Model Object
+	 * Sets a property that's hidden from enumeration, so that it never ends up
+	 * in toString(), the data we send to the server, or gets removed by empty().
 	 *
-	 * @author Josh Smith <josh@customd.com>
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.0.0 Introduced.
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param {Object} properties 		Properties of this Object
-	 * @param {string} Result_Object 	Name of Result Object Class to instantiate
+	 * @param  {Object} obj    The object to set the property on.
+	 * @param  {String} key    The property name.
+	 * @param  {Mixed}  value  The property value.
+	 *
+	 * @return {Mixed} The value.
 	 */
-	CD_Model = function(properties)
+	var hide = function(obj, key, value)
 	{
-		// Determine Object
-		var Result_Object = (typeof this.Result_Model === 'undefined' ? 'CD_Result' : this.Result_Model);
+		Object.defineProperty(obj, key, {
+			value        : value,
+			writable     : true,
+			configurable : true
+		});
 
-		if( typeof properties === 'object' )
+		return value;
+	};
+
+	/**
+	 * Resolves a dotted path (e.g., 'meta.total') within an object.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} obj   The object to look in.
+	 * @param  {String} path  The dotted path.
+	 *
+	 * @return {Mixed} The value, or undefined if the path doesn't exist.
+	 */
+	var get_path = function(obj, path)
+	{
+		var segments = String(path).split('.');
+
+		for(var i = 0; i < segments.length; i++)
 		{
-			for(var prop in properties)
+			if( obj === null || typeof obj !== 'object' )
 			{
-				this.push(new window[Result_Object](properties[prop]));
+				return undefined;
 			}
+
+			obj = obj[segments[i]];
 		}
+
+		return obj;
 	};
 
+	/**
+	 * Instantiates a Result object for the given collection, and links it back
+	 * to that collection so that it is able to persist itself.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc          The collection this result belongs to.
+	 * @param  {Object}   properties  Properties of the Result object.
+	 *
+	 * @return {CD_Result}
+	 */
+	var make_result = function(mc, properties)
+	{
+		// Determine Object
+		var Result_Object = (typeof mc.Result_Model === 'undefined' ? 'CD_Result' : mc.Result_Model),
+			result        = new root[Result_Object](properties);
+
+		hide(result, '_collection', mc);
+
+		return result;
+	};
 
 	/**
-	 * Extends CD_Model, and therefore array.js and returns a function
+	 * Makes a deep copy of a value, so that later changes to nested objects
+	 * and arrays don't affect the copy.
 	 *
-	 * @author Josh Smith <josh@customd.com>
-	 * @author Sam Sehnert <josh@customd.com>
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.2.0 Removed _init Deferred that was impossible to actaully get to.
-	 * @since  1.1.0 Added ability to extend individual settings instead of overwriting the whole object.
-	 * @since  1.0.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {Object} 	methods Additonal methods to go onto the prototype
-	 * @return {Function}
+	 * @param  {Mixed} value  The value to copy.
+	 *
+	 * @return {Mixed}
 	 */
-	CD_Model.extend = function(methods){
+	var copy = function(value)
+	{
+		if( $.isArray(value) )
+		{
+			return $.extend(true, [], value);
+		}
 
-		// Assign methods, and settings
-		methods				= (typeof methods === 'undefined' ? {} : methods);
-		methods.settings	= ('settings' in methods) ? methods.settings : {} ;
+		if( $.isPlainObject(value) )
+		{
+			return $.extend(true, {}, value);
+		}
 
-		/**
-		 * Model Collection Constructor
-		 *
-		 * @author  Josh Smith <josh@customd.com>
-		 * @since   1.0.0 Introduced.
-		 *
-		 * @param {Object} properties Unique properties of this Object
-		 */
-		function Model_Collection(properties)
+		if( value instanceof Date )
 		{
-			var mc = this;
+			return new Date(value.getTime());
+		}
 
-			// Encapsulate the initialisation promise.
-			this._init_ajax = false;
-			this._init = $.Deferred();
+		return value;
+	};
 
-			// Make an ajax request to retrieve data, if set.
-			if( !properties && mc.settings.init && mc.settings.endpoint )
+	/**
+	 * Deep comparison of two values.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed} a
+	 * @param  {Mixed} b
+	 *
+	 * @return {Boolean} True if both values are equivalent.
+	 */
+	var is_equal = function(a, b)
+	{
+		var key;
+
+		if( a === b )
+		{
+			return true;
+		}
+
+		if( a instanceof Date && b instanceof Date )
+		{
+			return a.getTime() === b.getTime();
+		}
+
+		if( $.isArray(a) && $.isArray(b) )
+		{
+			if( a.length !== b.length )
 			{
-				// Fire off a request to get collection data, then call the parent object
-				this.init();
+				return false;
 			}
 
-			// Just set the properties on this object using the parent objects method.
-			else if(typeof properties !== 'undefined')
+			for(key = 0; key < a.length; key++)
 			{
-				// Call the parent Object
-				CD_Model.call(this, properties);
+				if( ! is_equal(a[key], b[key]) )
+				{
+					return false;
+				}
 			}
 
-			return this.__construct();
+			return true;
 		}
 
-		// Set the prototype and constructor properties
-		Model_Collection.prototype = Object.create(this.prototype);
-		Model_Collection.prototype.constructor = Model_Collection;
-
-		/**
-		 * Model Collection Sugary Construct Function
-		 * @return void
-		 */
-		Model_Collection.prototype.__construct = function(){};
-
-
-		/**
-		 * Model Collection init/loader function.
-		 *
-		 * Allows deferred loading after some setup has taken place.
-		 *
-		 * @author Sam Sehnert <sam@teamdf.com>
-		 *
-		 * @param {Object} params Defaut Parameters
-		 *
-		 * @since  1.1.0 Introduced
-		 */
-		Model_Collection.prototype.init = function(params)
+		if( a && b && typeof a === 'object' && typeof b === 'object' && ! $.isArray(a) && ! $.isArray(b) )
 		{
-			var mc = this;
+			if( Object.keys(a).length !== Object.keys(b).length )
+			{
+				return false;
+			}
 
-			// If the promise hasn't already been resolved...
-			if( ! mc._init_ajax)
+			for(key in a)
 			{
-				if( $.isPlainObject(params) )
+				if( a.hasOwnProperty(key) && ( ! b.hasOwnProperty(key) || ! is_equal(a[key], b[key]) ) )
 				{
-					mc.settings.params = $.extend({}, mc.settings.params, params);
+					return false;
 				}
+			}
 
-				// Fire off a request to get collection data, then call the parent object
-				// and save this AJAX request as the promise.
-				mc._init = this.api().get(mc.settings.params)
-					.done(function(response){
-						CD_Model.call(mc, response[mc.settings.attribute]);
-					});
+			return true;
+		}
 
-				mc._init_ajax = true;
-			}
+		return false;
+	};
 
-			// Return the promise.
-			return mc._init.promise();
-		};
+	/**
+	 * Updates a Result object in place with the record returned by the server,
+	 * and fires a 'change' event on its collection if anything changed.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result    The result to update.
+	 * @param  {Object}    response  The API response.
+	 *
+	 * @return void
+	 */
+	var sync_result = function(result, response)
+	{
+		var changes = update_result(result, response ? response[result._collection.settings.attribute] : null);
 
+		if( ! $.isEmptyObject(changes) )
+		{
+			result._collection.emit('change', result, changes);
+		}
+	};
 
-		/**
-		 * Model Collection Prototype Settings
-		 * First thing we do is copy the existing Model_Collection_defaults onto this object.
-		 * @type {Object}
-		 */
-		Model_Collection.prototype.settings = $.extend({},Model_Collection_defaults);
+	/**
+	 * Updates a Result object in place with the given record from the server.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result      The result to update.
+	 * @param  {Object}    properties  The record.
+	 *
+	 * @return {Object} The changes made to the result, as a map of field to {from, to}.
+	 */
+	var update_result = function(result, properties)
+	{
+		var changes = assign(result, $.isPlainObject(properties) ? properties : {});
 
-		/**
-		 * Assign custom values to the prototype.
-		 * This typically contains methods (e.g., init, __constructor, etc),
-		 * properties (e.g., Result_Model) or the settings object.
-		 */
-		for(var key in methods)
+		// The result now matches what's on the server.
+		result.mark_clean();
+
+		return changes;
+	};
+
+	/**
+	 * Sets properties on a Result object, cast to the types in its schema, keeping
+	 * track of the ones that changed (including computed properties).
+	 *
+	 * Related records embedded under the name of a relation are hydrated, like they are by
+	 * the constructor, rather than set, so they never hide the relation accessor.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result      The result to update.
+	 * @param  {Object}    properties  The properties to set.
+	 *
+	 * @return {Object} The changes made to the result, as a map of field to {from, to}.
+	 */
+	var assign = function(result, properties)
+	{
+		var computed  = result.computed || {},
+			relations = result.relations || {},
+			before    = own_values(result),
+			changes   = {},
+			after, prop;
+
+		properties = cast_properties(result, properties);
+
+		for(prop in properties)
 		{
-			// If the methods key we're tyring to set already exists on the prototype AND that prototype
-			// is a plain object, then we want to extend that object, not replace it.
-			// E.g., in the case of 'Model_Collection.prototype.settings', that is already an object on the
-			// prototype, so any methods.settings values should extend the Model_Collection.prototype.settings.
-			//
-			// All other prototype variables will be replaced by the associated value passed in methods.
+			if( ! properties.hasOwnProperty(prop) )
+			{
+				continue;
+			}
 
-			if( $.isPlainObject(Model_Collection.prototype[key]))
+			if( relations.hasOwnProperty(prop) )
 			{
-				Model_Collection.prototype[key] = $.extend(Model_Collection.prototype[key], methods[key]);
+				hydrate_relation(result, prop, properties[prop]);
 			}
-			else
+
+			// Computed properties can only be set if they have a setter.
+			else if( computed.hasOwnProperty(prop) )
 			{
-				// Set the method onto the property.
-				Model_Collection.prototype[key] = methods[key];
+				if( computed_field(computed[prop]).set )
+				{
+					result[prop] = properties[prop];
+				}
+			}
+			else if( ! result.hasOwnProperty(prop) || ! is_equal(result[prop], properties[prop]) )
+			{
+				result[prop] = properties[prop];
 			}
 		}
 
-		return Model_Collection;
+		// Compare everything, as setters and computed properties can change other fields.
+		after = own_values(result);
+
+		for(prop in after)
+		{
+			if( ! before.hasOwnProperty(prop) || ! is_equal(before[prop], after[prop]) )
+			{
+				changes[prop] = { from : before[prop], to : after[prop] };
+			}
+		}
+
+		return changes;
 	};
 
+	/**
+	 * Gets the current values of a Result object's own properties, including computed properties.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result  The result.
+	 *
+	 * @return {Object}
+	 */
+	var own_values = function(result)
+	{
+		var values = {};
+
+		for(var prop in result)
+		{
+			if( result.hasOwnProperty(prop) )
+			{
+				values[prop] = result[prop];
+			}
+		}
 
+		return values;
+	};
 
 	/**
-	* Prototype of the Model Object
-	* @type {Object}
-	*/
-	CD_Model.prototype = Object.create(array.prototype);
-	CD_Model.prototype.constructor = CD_Model;
-	CD_Model.prototype._last_request = false;
+	 * Reads the pagination metadata of a list response, from the body or the headers.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc        The collection that made the request.
+	 * @param  {Object}   response  The API response.
+	 * @param  {Object}   xhr       The XHR of the request, if there was one.
+	 *
+	 * @return void
+	 */
+	var read_pagination = function(mc, response, xhr)
+	{
+		var settings = pagination_settings(mc),
+			records  = response ? response[mc.settings.attribute] : null,
+			total    = settings.total ? get_path(response, settings.total) : undefined,
+			header   = function(name){
+				return ( name && xhr && xhr.getResponseHeader ) ? xhr.getResponseHeader(name) : null;
+			};
+
+		if( typeof total === 'undefined' || total === null )
+		{
+			total = header(settings.header);
+		}
 
+		hide(mc, '_pagination', {
+			total       : ( typeof total === 'undefined' || total === null || total === '' || isNaN(+total) ) ? null : +total,
+			count       : records && typeof records === 'object' ? Object.keys(records).length : 0,
+			next_cursor : settings.mode === 'cursor' ? get_path(response, settings.next_cursor) || null : null,
+			prev_cursor : settings.mode === 'cursor' ? get_path(response, settings.prev_cursor) || null : null,
+			links       : settings.mode === 'link' ? parse_links(header('Link'), mc.settings.endpoint) : {}
+		});
+	};
 
+	/**
+	 * Gets the pagination settings of a model, filled out with the defaults.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return {Object}
+	 */
+	var pagination_settings = function(mc)
+	{
+		var settings = $.extend({}, Pagination_defaults, mc.settings.pagination);
+
+		// Local collections always page with limit and offset.
+		if( mc.settings.remote === false )
+		{
+			settings.mode = 'offset';
+		}
+
+		return settings;
+	};
+
+	/**
+	 * Parses an RFC 5988 Link header into a map of rel to URL.
+	 * Relative URLs are resolved against the origin of the endpoint.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {String} header    The Link header, e.g. '<https://api/users?page=2>; rel="next"'.
+	 * @param  {String} endpoint  The endpoint the links belong to.
+	 *
+	 * @return {Object} e.g. {next : 'https://api/users?page=2'}
+	 */
+	var parse_links = function(header, endpoint)
+	{
+		var links  = {},
+			origin = (String(endpoint).match(/^([a-z][a-z0-9+.\-]*:)?\/\/[^\/]+/i) || [''])[0];
+
+		$.each(String(header || '').split(/,(?=\s*<)/), function(i, part){
+
+			var match = part.match(/<([^>]*)>(.*)/),
+				rel   = match ? match[2].match(/;\s*rel="?([^";]+)"?/i) : null,
+				url;
+
+			if( ! rel )
+			{
+				return;
+			}
+
+			url = match[1];
+
+			if( url.charAt(0) === '/' && url.charAt(1) !== '/' )
+			{
+				url = origin + url;
+			}
+
+			// A link can have more than one relation, e.g. rel="next last".
+			$.each($.trim(rel[1]).split(/\s+/), function(j, name){
+				links[name.toLowerCase()] = url;
+			});
+		});
+
+		return links;
+	};
+
+	/**
+	 * Resets the collection back to the first page, ready for a new query.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return void
+	 */
+	var reset_position = function(mc)
+	{
+		var settings = pagination_settings(mc);
+
+		if( settings.mode === 'cursor' )
+		{
+			delete mc.settings.params[settings.cursor_param];
+		}
+		else if( settings.mode === 'offset' )
+		{
+			mc.settings.params.offset = 0;
+		}
+	};
+
+	/**
+	 * Works out the params and endpoint for the next or previous set of records in the
+	 * cursor and link pagination modes, from the metadata of the last response.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc         The collection.
+	 * @param  {String}   direction  next|prev
+	 * @param  {int}      count      The number of items to get. Optional.
+	 *
+	 * @return {Object|null} {params, endpoint}, or null if there's nowhere to go.
+	 */
+	var follow_target = function(mc, direction, count)
+	{
+		var settings = pagination_settings(mc),
+			meta     = mc._pagination || { links : {} },
+			params   = $.extend({}, mc.settings.params),
+			cursor;
+
+		if( typeof count !== 'undefined' )
+		{
+			params.limit = +count;
+		}
+
+		if( settings.mode === 'link' )
+		{
+			// The link already has the params we need.
+			return meta.links[direction] ? { params : null, endpoint : meta.links[direction] } : null;
+		}
+
+		cursor = meta[direction + '_cursor'];
+
+		if( ! cursor )
+		{
+			return null;
+		}
+
+		params[settings.cursor_param] = cursor;
+
+		return { params : params, endpoint : undefined };
+	};
+
+	/**
+	 * Loads the next or previous set of records in the cursor and link pagination modes.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc         The collection.
+	 * @param  {String}   direction  next|prev
+	 * @param  {int}      count      The number of items to get. Optional.
+	 * @param  {Object}   options    Load options. Optional.
+	 *
+	 * @return {Object} API Request Promise
+	 */
+	var follow = function(mc, direction, count, options)
+	{
+		var target = follow_target(mc, direction, count);
+
+		if( ! target )
+		{
+			return ($.Deferred()).reject(direction === 'next' ? 'No more records' : 'Already on the first page');
+		}
+
+		if( target.params )
+		{
+			mc.settings.params = target.params;
+		}
+
+		return load(mc, target.params || null, target.endpoint, options);
+	};
+
+	/**
+	 * Gets the URL of the next or previous set of records in the cursor and link pagination modes.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc         The collection.
+	 * @param  {String}   direction  next|prev
+	 * @param  {int}      count      The number of items to get. Optional.
+	 *
+	 * @return {String|null} The URL, or null if there's nowhere to go.
+	 */
+	var follow_url = function(mc, direction, count)
+	{
+		var target = follow_target(mc, direction, count);
+
+		if( ! target )
+		{
+			return null;
+		}
+
+		return target.params ? mc.url(target.params) : target.endpoint;
+	};
+
+	/**
+	 * Writes params as a query string. Null and undefined params are left out, nested objects use
+	 * bracket notation (e.g., filter[status]=a), and arrays are written as set by the arrays option:
+	 *
+	 *  - 'comma':    status=a,b
+	 *  - 'brackets': status[]=a&status[]=b
+	 *  - 'repeat':   status=a&status=b
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} params   The params.
+	 * @param  {Object} options  Query settings ({arrays, dates, booleans, sort}). Optional.
+	 *
+	 * @return {String} The query string, without the '?'.
+	 */
+	var serialize_query = function(params, options)
+	{
+		var parts = [];
+
+		options = $.extend({}, Query_defaults, options);
+
+		var keys = function(obj)
+		{
+			var list = [];
+
+			for(var key in obj)
+			{
+				if( obj.hasOwnProperty(key) )
+				{
+					list.push(key);
+				}
+			}
+
+			return options.sort ? list.sort() : list;
+		};
+
+		var format = function(value)
+		{
+			if( value instanceof Date )
+			{
+				return typeof options.dates === 'function' ? String(options.dates(value)) : value.toISOString();
+			}
+
+			if( typeof value === 'boolean' && options.booleans === 'number' )
+			{
+				return value ? '1' : '0';
+			}
+
+			return String(value);
+		};
+
+		var is_scalar = function(value)
+		{
+			return ! $.isArray(value) && ! $.isPlainObject(value);
+		};
+
+		var add = function(name, value)
+		{
+			if( value === null || typeof value === 'undefined' )
+			{
+				return;
+			}
+
+			if( $.isArray(value) )
+			{
+				value = $.grep(value, function(item){
+					return item !== null && typeof item !== 'undefined';
+				});
+
+				if( options.arrays === 'comma' && $.grep(value, is_scalar).length === value.length )
+				{
+					if( value.length )
+					{
+						parts.push(encodeURIComponent(name) + '=' + $.map(value, function(item){
+							return encodeURIComponent(format(item));
+						}).join(','));
+					}
+
+					return;
+				}
+
+				$.each(value, function(index, item){
+
+					// Objects in arrays need an index, so their keys stay together.
+					if( ! is_scalar(item) )
+					{
+						add(name + '[' + index + ']', item);
+					}
+					else
+					{
+						add(options.arrays === 'repeat' ? name : name + '[]', item);
+					}
+				});
+
+				return;
+			}
+
+			if( $.isPlainObject(value) )
+			{
+				$.each(keys(value), function(i, key){
+					add(name + '[' + key + ']', value[key]);
+				});
+
+				return;
+			}
+
+			parts.push(encodeURIComponent(name) + '=' + encodeURIComponent(format(value)));
+		};
+
+		$.each(keys(params || {}), function(i, key){
+			add(key, params[key]);
+		});
+
+		return parts.join('&');
+	};
+
+	/**
+	 * Parses a query string into an object of params. Keys in bracket notation are read into nested
+	 * objects and arrays, and repeated keys into arrays. Values are left as strings, unless the
+	 * arrays option is 'comma', which splits comma separated values into arrays.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {String} query    The query string. A leading '?' or '#' is ignored.
+	 * @param  {Object} options  Query settings ({arrays}). Optional.
+	 *
+	 * @return {Object}
+	 */
+	var parse_query = function(query, options)
+	{
+		var params = {};
+
+		options = options || {};
+
+		var is_empty = function(value)
+		{
+			return value === null || typeof value === 'undefined';
+		};
+
+		var decode = function(value)
+		{
+			try
+			{
+				return decodeURIComponent(value.replace(/\+/g, ' '));
+			}
+			catch(error)
+			{
+				return value;
+			}
+		};
+
+		var set = function(path, value)
+		{
+			var target = params,
+				key, next;
+
+			for(var i = 0; i < path.length; i++)
+			{
+				key = path[i];
+
+				// Never write to the prototype.
+				if( key === '__proto__' || key === 'constructor' || key === 'prototype' )
+				{
+					return;
+				}
+
+				if( key === '' )
+				{
+					if( ! $.isArray(target) )
+					{
+						return;
+					}
+
+					if( i === path.length - 1 )
+					{
+						target.push.apply(target, [].concat(value));
+						return;
+					}
+
+					key = target.length;
+				}
+
+				if( i === path.length - 1 )
+				{
+					if( ! target.hasOwnProperty(key) )
+					{
+						target[key] = value;
+					}
+					else if( $.isArray(target[key]) )
+					{
+						target[key] = target[key].concat(value);
+					}
+					else if( ! $.isPlainObject(target[key]) )
+					{
+						target[key] = [target[key]].concat(value);
+					}
+
+					return;
+				}
+
+				next = path[i + 1];
+
+				if( ! target.hasOwnProperty(key) || is_empty(target[key]) )
+				{
+					target[key] = next === '' || /^\d+$/.test(next) ? [] : {};
+				}
+				else if( typeof target[key] !== 'object' )
+				{
+					return;
+				}
+
+				target = target[key];
+			}
+		};
+
+		$.each(String(query || '').replace(/^[?#]/, '').split('&'), function(i, pair){
+
+			var name, value, path;
+
+			if( pair === '' )
+			{
+				return;
+			}
+
+			pair  = pair.split('=');
+			name  = decode(pair[0]);
+			value = decode(pair.slice(1).join('='));
+			path  = name.match(/^([^\[\]]+)((?:\[[^\[\]]*\])+)$/);
+			path  = path ? [path[1]].concat(path[2].slice(1, -1).split('][')) : [name];
+
+			if( options.arrays === 'comma' && value.indexOf(',') !== -1 )
+			{
+				value = value.split(',');
+			}
+
+			set(path, value);
+		});
+
+		return params;
+	};
+
+	/**
+	 * Gets the history settings of a model, filled out with the defaults.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return {Object|null} The settings, or null if the model doesn't sync its params with the URL.
+	 */
+	var history_settings = function(mc)
+	{
+		var history = mc.settings.history;
+
+		if( ! history )
+		{
+			return null;
+		}
+
+		return $.extend({}, History_defaults, history === true ? {} : history);
+	};
+
+	/**
+	 * Gets the params of a collection that belong in the URL: those that differ from the params it
+	 * started with. Params that have been removed since are given as empty strings.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc      The collection.
+	 * @param  {Object}   params  The params.
+	 *
+	 * @return {Object}
+	 */
+	var history_params = function(mc, params)
+	{
+		var settings = history_settings(mc),
+			defaults = mc._history.defaults,
+			synced   = {},
+			key;
+
+		var syncs = function(key)
+		{
+			return ! settings.params || $.inArray(key, settings.params) !== -1;
+		};
+
+		// The first page doesn't need an offset in the URL.
+		var is_default = function(key, value)
+		{
+			if( defaults.hasOwnProperty(key) )
+			{
+				return String(defaults[key]) === String(value);
+			}
+
+			return key === 'offset' && Number(value) === 0;
+		};
+
+		for(key in params)
+		{
+			if( params.hasOwnProperty(key) && syncs(key) && params[key] !== null && typeof params[key] !== 'undefined' && params[key] !== '' && ! is_default(key, params[key]) )
+			{
+				synced[key] = params[key];
+			}
+		}
+
+		for(key in defaults)
+		{
+			if( defaults.hasOwnProperty(key) && syncs(key) && ( ! params.hasOwnProperty(key) || params[key] === null ) )
+			{
+				synced[key] = '';
+			}
+		}
+
+		return synced;
+	};
+
+	/**
+	 * Gets the query string of the URL that a collection syncs its params with.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} settings  The history settings.
+	 *
+	 * @return {String} The query string, without the '?' or '#'.
+	 */
+	var location_query = function(settings)
+	{
+		return settings.mode === 'hash' ? root.location.hash.replace(/^#/, '') : root.location.search.replace(/^\?/, '');
+	};
+
+	/**
+	 * Reads the params of a collection from the URL, on top of the params it started with.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return {Object} {params, filters}, where filters are the params that weren't there to start with.
+	 */
+	var read_history = function(mc)
+	{
+		var settings = history_settings(mc),
+			query    = parse_query(location_query(settings), mc.settings.query),
+			params   = $.extend({}, mc._history.defaults),
+			filters  = {};
+
+		if( settings.namespace )
+		{
+			query = $.isPlainObject(query[settings.namespace]) ? query[settings.namespace] : {};
+		}
+
+		for(var key in query)
+		{
+			if( ! query.hasOwnProperty(key) || ( settings.params && $.inArray(key, settings.params) === -1 ) )
+			{
+				continue;
+			}
+
+			// Params that have been removed are in the URL as empty strings.
+			if( query[key] === '' )
+			{
+				delete params[key];
+				continue;
+			}
+
+			params[key] = query[key];
+
+			if( ! mc._history.defaults.hasOwnProperty(key) && $.inArray(key, ['limit', 'offset', 'sort', 'q', pagination_settings(mc).cursor_param]) === -1 )
+			{
+				filters[key] = true;
+			}
+		}
+
+		return { params : params, filters : filters };
+	};
+
+	/**
+	 * Builds the query string of the URL, with the given params of a collection in place of the ones
+	 * it had, and any that don't belong to the collection left as they are.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc      The collection.
+	 * @param  {Object}   params  The params.
+	 *
+	 * @return {String} The query string, without the '?' or '#'.
+	 */
+	var history_query = function(mc, params)
+	{
+		var settings = history_settings(mc),
+			synced   = history_params(mc, params),
+			parts    = [],
+			wrapped  = {},
+			query;
+
+		// Keep the params that belong to something else, as they were written.
+		$.each(location_query(settings).split('&'), function(i, pair){
+
+			var name = pair.split('=')[0].replace(/\+/g, ' '),
+				key;
+
+			try
+			{
+				name = decodeURIComponent(name);
+			}
+			catch(error) {}
+
+			key = name.match(/^([^\[]*)(?:\[([^\]]*)\])?/);
+			key = settings.namespace ? ( key[1] === settings.namespace ? key[2] : undefined ) : key[1];
+
+			if( pair !== '' && ( typeof key === 'undefined' || ( settings.params && $.inArray(key, settings.params) === -1 ) ) )
+			{
+				parts.push(pair);
+			}
+		});
+
+		if( settings.namespace )
+		{
+			wrapped[settings.namespace] = synced;
+			synced = wrapped;
+		}
+
+		query = serialize_query(synced, mc.settings.query);
+
+		if( query !== '' )
+		{
+			parts.push(query);
+		}
+
+		return parts.join('&');
+	};
+
+	/**
+	 * Writes the params of a collection to the URL, with history.pushState (or replaceState).
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc      The collection.
+	 * @param  {Object}   params  The params.
+	 *
+	 * @return void
+	 */
+	var write_history = function(mc, params)
+	{
+		var settings = history_settings(mc),
+			location = root.location,
+			query, url;
+
+		if( ! settings || ! mc._history || ! root.history || ! root.history.pushState )
+		{
+			return;
+		}
+
+		query = history_query(mc, params || {});
+
+		url = settings.mode === 'hash' ?
+			location.pathname + location.search + ( query ? '#' + query : '' ) :
+			location.pathname + ( query ? '?' + query : '' ) + location.hash;
+
+		if( url !== location.pathname + location.search + location.hash )
+		{
+			root.history[settings.push ? 'pushState' : 'replaceState'](root.history.state, '', url);
+		}
+	};
+
+	// Counts the collections that have synced with the URL, so each has its own popstate handler.
+	var history_count = 0;
+
+	/**
+	 * Starts syncing the params of a collection with the URL. The params in the URL are restored,
+	 * and the collection re-loads them whenever the user navigates back or forward.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return void
+	 */
+	var start_history = function(mc)
+	{
+		var restore = function()
+		{
+			var restored = read_history(mc);
+
+			mc.settings.params = restored.params;
+
+			if( ! mc._filters )
+			{
+				hide(mc, '_filters', {});
+			}
+
+			$.extend(mc._filters, restored.filters);
+		};
+
+		// Nothing to sync with outside of a page, e.g. in a Web Worker.
+		if( ! history_settings(mc) || mc._history || ! root.history )
+		{
+			return;
+		}
+
+		hide(mc, '_history', { defaults : copy(mc.settings.params), event : 'popstate.cd_model_' + ( ++history_count ) });
+
+		restore();
+
+		$(root).on(mc._history.event, function(){
+
+			var current = history_query(mc, mc.settings.params);
+
+			restore();
+
+			if( history_query(mc, mc.settings.params) !== current )
+			{
+				load(mc, mc.settings.params, undefined, { strategy : 'replace', history : false });
+			}
+		});
+	};
+
+	/**
+	 * Stops syncing the params of a collection with the URL.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return void
+	 */
+	var stop_history = function(mc)
+	{
+		if( mc._history )
+		{
+			$(root).off(mc._history.event);
+			delete mc._history;
+		}
+	};
+
+	/**
+	 * Loads a set of records into the collection.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * Loads are sent on the 'list' channel when the abort setting is on, so that each one
+	 * supersedes the last. A channel can also be given in the options.
+	 *
+	 * When the model syncs its params with the URL, they're written to it, unless the history option is false.
+	 *
+	 * Loads abort any poll that's in flight.
+	 *
+	 * @param  {CD_Model} mc        The collection to load into.
+	 * @param  {Object}   params    The parameters to send.
+	 * @param  {String}   endpoint  An endpoint segment, or an absolute URL to load from. Optional.
+	 * @param  {Object}   options   Load options ({strategy, remove, channel, history, refresh}). Optional.
+	 *
+	 * @return {Object} API Request Promise
+	 */
+	var load = function(mc, params, endpoint, options)
+	{
+		var channel = ( options && options.channel ) || ( mc.settings.abort ? 'list' : null ),
+			loads   = mc.hasOwnProperty('_loads') ? mc._loads : hide(mc, '_loads', {}),
+			ticket, request;
+
+		// Any other load supersedes a poll, so an old poll can't overwrite newer results.
+		if( mc._polling && channel !== 'poll' )
+		{
+			mc.abort('poll');
+		}
+
+		if( ! options || options.history !== false )
+		{
+			write_history(mc, mc.settings.params);
+		}
+
+		if( mc.settings.remote === false )
+		{
+			return local_load(mc, params, $.extend({}, options, { channel : channel }));
+		}
+
+		// Fire off a request to get collection data, then merge it into
+		// the collection and save this AJAX request as the promise. Refreshes
+		// (like polls) always go to the server, rather than the cache.
+		request = internal_api(mc).get(params, endpoint, { channel : channel, cache : ! ( options && options.refresh ) });
+
+		// Number the loads on each channel, rather than comparing the request with the channel's,
+		// as an overridden api() hands back its own promise for the request.
+		if( channel )
+		{
+			ticket = loads[channel] = ( loads[channel] || 0 ) + 1;
+		}
+
+		return request
+			.done(function(response, text_status, xhr){
+
+				// Ignore responses that arrive after a newer load on the same channel.
+				if( channel && loads[channel] !== ticket )
+				{
+					return;
+				}
+
+				read_pagination(mc, response, xhr);
+				hydrate_sideloaded(mc, response);
+				merge_records(mc, response[mc.settings.attribute], options);
+			});
+	};
+
+	/**
+	 * Loads the collection with its current params once no other debounced load has been asked
+	 * for in the given delay. Every call made during the delay shares the same promise.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The collection to load into.
+	 * @param  {int}      delay    The delay, in ms.
+	 * @param  {Object}   options  Load options.
+	 *
+	 * @return {Object} Promise, with an abort() method.
+	 */
+	var debounce_load = function(mc, delay, options)
+	{
+		var pending = mc.hasOwnProperty('_debounce') ? mc._debounce : hide(mc, '_debounce', {}),
+			batch;
+
+		clearTimeout(pending.timer);
+
+		if( ! pending.batch )
+		{
+			batch = pending.batch = { deferred : $.Deferred(), request : null };
+			batch.promise = batch.deferred.promise();
+
+			batch.promise.abort = function(){
+
+				if( batch.request )
+				{
+					batch.request.abort();
+				}
+				else if( pending.batch === batch )
+				{
+					clearTimeout(pending.timer);
+					delete pending.batch;
+
+					batch.deferred.reject(null, 'abort', 'abort');
+				}
+
+				return batch.promise;
+			};
+		}
+
+		pending.timer = setTimeout(function(){
+
+			var waiting = pending.batch;
+
+			delete pending.batch;
+
+			waiting.request = load(mc, mc.settings.params, undefined, options)
+				.done(function(){
+					waiting.deferred.resolveWith(this, arguments);
+				})
+				.fail(function(){
+					waiting.deferred.rejectWith(this, arguments);
+				});
+
+		}, delay);
+
+		return pending.batch.promise;
+	};
+
+	/**
+	 * Creates a promise that has already been resolved, which looks like an API request promise.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} response     The response to resolve with.
+	 * @param  {String} text_status  The text status to resolve with.
+	 * @param  {Object} xhr          The XHR to resolve with.
+	 *
+	 * @return {Object} Promise, with an abort() method that does nothing.
+	 */
+	var resolved = function(response, text_status, xhr)
+	{
+		var promise = $.Deferred().resolve(response, text_status, xhr).promise();
+
+		promise.abort = function(){
+			return promise;
+		};
+
+		return promise;
+	};
+
+	/**
+	 * Loads records into a local collection (i.e., one with the remote setting turned off).
+	 *
+	 * The whole dataset is requested the first time, without the limit, offset, sort, search
+	 * or filter params. From then on, filtering, sorting, searching and paging all happen
+	 * in the browser, using the same params they would have sent to the API. The refresh
+	 * option requests the dataset again.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The collection to load into.
+	 * @param  {Object}   params   The parameters of the query.
+	 * @param  {Object}   options  Load options ({strategy, remove, channel, refresh}). Optional.
+	 *
+	 * @return {Object} Promise, with an abort() method.
+	 */
+	var local_load = function(mc, params, options)
+	{
+		var deferred = $.Deferred(),
+			promise  = deferred.promise(),
+			dataset, request, prop;
+
+		if( mc._records && ! ( options && options.refresh ) )
+		{
+			return local_query(mc, params, options);
+		}
+
+		// Leave anything we'll do ourselves off the dataset request.
+		dataset = $.extend({}, params);
+
+		$.each(['limit', 'offset', 'sort', 'q'].concat(Object.keys(mc._filters || {})), function(i, param){
+			delete dataset[param];
+		});
+
+		request = internal_api(mc).get(dataset, undefined, { channel : options && options.channel, cache : ! ( options && options.refresh ) })
+			.done(function(response){
+
+				var records = response ? response[mc.settings.attribute] : null;
+
+				hide(mc, '_records', []);
+
+				for(prop in records)
+				{
+					if( records.hasOwnProperty(prop) )
+					{
+						mc._records.push(records[prop]);
+					}
+				}
+
+				local_query(mc, params, options).done(function(){
+					deferred.resolveWith(this, arguments);
+				});
+			})
+			.fail(function(){
+				deferred.rejectWith(this, arguments);
+			});
+
+		promise.abort = function(){
+			request.abort();
+			return promise;
+		};
+
+		return promise;
+	};
+
+	/**
+	 * Runs a query against the dataset of a local collection, and loads the results.
+	 *
+	 *  - Filters set with filter() are loosely compared, like get_where(). Arrays match any of their values.
+	 *  - The q param is searched for (case insensitive) in the search_fields setting, or every field if that's empty.
+	 *  - The sort param is a comma separated list of fields, each prefixed with '-' to sort descending.
+	 *  - The limit and offset params page through the results.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The collection to load into.
+	 * @param  {Object}   params   The parameters of the query.
+	 * @param  {Object}   options  Load options ({strategy, remove}). Optional.
+	 *
+	 * @return {Object} Promise, resolved with a response like the API would have sent.
+	 */
+	var local_query = function(mc, params, options)
+	{
+		var records, limit, offset, total, response;
+
+		params  = params || {};
+		limit   = +params.limit || 0;
+		offset  = +params.offset || 0;
+		records = local_select(mc, params);
+
+		total   = records.length;
+		records = limit ? records.slice(offset, offset + limit) : records.slice(offset);
+
+		hide(mc, '_pagination', {
+			total       : total,
+			count       : records.length,
+			next_cursor : null,
+			prev_cursor : null,
+			links       : {}
+		});
+
+		merge_records(mc, records, options);
+
+		response = { total : total };
+		response[mc.settings.attribute] = records;
+
+		return resolved(response, 'success', null);
+	};
+
+	/**
+	 * Filters, searches and sorts the dataset of a local collection, without paging it.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc      The collection.
+	 * @param  {Object}   params  The parameters of the query.
+	 *
+	 * @return {Array} The matching records.
+	 */
+	var local_select = function(mc, params)
+	{
+		var where = {},
+			records;
+
+		$.each(mc._filters || {}, function(field){
+			if( params.hasOwnProperty(field) && params[field] !== null )
+			{
+				where[field] = $.isArray(params[field]) ? { $in : params[field] } : params[field];
+			}
+		});
+
+		records = $.grep(mc._records, function(record){
+			return matches(record, where) && local_search(mc.settings.search_fields, record, params.q);
+		});
+
+		if( params.sort )
+		{
+			records.sort(local_comparator(params.sort));
+		}
+
+		return records;
+	};
+
+	/**
+	 * Determines whether a record matches a search term (case insensitive).
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Array}  fields  The fields to search, or an empty array to search every field.
+	 * @param  {Object} record  The record to search.
+	 * @param  {String} term    The search term.
+	 *
+	 * @return {Boolean}
+	 */
+	var local_search = function(fields, record, term)
+	{
+		var values;
+
+		if( typeof term === 'undefined' || term === null || term === '' )
+		{
+			return true;
+		}
+
+		term   = String(term).toLowerCase();
+		fields = ( fields && fields.length ) ? fields : Object.keys(record);
+
+		for(var i = 0; i < fields.length; i++)
+		{
+			values = path_values(record, fields[i]);
+
+			for(var v = 0; v < values.length; v++)
+			{
+				if( values[v] !== null && typeof values[v] !== 'object' && String(values[v]).toLowerCase().indexOf(term) !== -1 )
+				{
+					return true;
+				}
+			}
+		}
+
+		return false;
+	};
+
+	/**
+	 * Builds a comparator from a sort param, e.g. 'name' or '-created_at,name'.
+	 * Empty values always sort last.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {String} sort  The sort param.
+	 *
+	 * @return {Function}
+	 */
+	var local_comparator = function(sort)
+	{
+		var fields = $.map(String(sort).split(','), function(field){
+
+			field = $.trim(field);
+
+			if( field === '' )
+			{
+				return null;
+			}
+
+			return field.charAt(0) === '-' ? { path : field.substr(1), direction : -1 } : { path : field.replace(/^\+/, ''), direction : 1 };
+		});
+
+		var value = function(record, path)
+		{
+			var found = get_path(record, path);
+
+			if( typeof found === 'string' )
+			{
+				return found.toLowerCase();
+			}
+
+			return comparable(found, false);
+		};
+
+		return function(a, b)
+		{
+			for(var i = 0; i < fields.length; i++)
+			{
+				var x = value(a, fields[i].path),
+					y = value(b, fields[i].path),
+					x_empty = ( x === null || typeof x === 'undefined' || x === '' ),
+					y_empty = ( y === null || typeof y === 'undefined' || y === '' );
+
+				if( x_empty || y_empty )
+				{
+					if( x_empty !== y_empty )
+					{
+						return x_empty ? 1 : -1;
+					}
+
+					continue;
+				}
+
+				if( x < y )
+				{
+					return -fields[i].direction;
+				}
+
+				if( x > y )
+				{
+					return fields[i].direction;
+				}
+			}
+
+			return 0;
+		};
+	};
+
+	/**
+	 * Loads records into a collection, using the given strategy. Without one, it's the strategy
+	 * setting, or replace for local collections and append for remote ones:
+	 *
+	 *  - replace : Empties the collection, then adds the records.
+	 *  - append  : Adds the records, skipping any with the same ID as a result already in the collection.
+	 *  - merge   : Updates results with the same ID in place, and adds the rest. With the remove option,
+	 *              results that aren't in the records are removed.
+	 *
+	 * Fires 'add' and 'remove' events as results are added and removed, and a 'change' event
+	 * with the result and its changes for each result updated in place.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The collection to load into.
+	 * @param  {Object}   records  The records to load.
+	 * @param  {Object}   options  Load options ({strategy, remove}). Optional.
+	 *
+	 * @return void
+	 */
+	var merge_records = function(mc, records, options)
+	{
+		var strategy = ( options && options.strategy ) || mc.settings.strategy || ( mc.settings.remote === false ? 'replace' : 'append' ),
+			seen     = {},
+			i, prop, record, existing, changes;
+
+		if( strategy === 'replace' )
+		{
+			mc.empty();
+		}
+
+		if( typeof records !== 'object' || records === null )
+		{
+			records = [];
+		}
+
+		for(prop in records)
+		{
+			if( ! records.hasOwnProperty(prop) )
+			{
+				continue;
+			}
+
+			record   = records[prop];
+			existing = ( record && typeof record.id !== 'undefined' && record.id !== null ) ? find_by_id(mc, record.id) : null;
+
+			if( record && typeof record.id !== 'undefined' && record.id !== null )
+			{
+				seen[record.id] = true;
+			}
+
+			if( existing && strategy === 'merge' )
+			{
+				changes = update_result(existing, record);
+
+				if( ! $.isEmptyObject(changes) )
+				{
+					mc.emit('change', existing, changes);
+				}
+			}
+			else if( ! existing )
+			{
+				mc.push(make_result(mc, record));
+			}
+		}
+
+		// Drop anything the server didn't send back.
+		if( strategy === 'merge' && options && options.remove )
+		{
+			for(i = mc.length - 1; i >= 0; i--)
+			{
+				if( mc[i] && ! mc[i].is_new() && ! seen[mc[i].id] )
+				{
+					mc.splice(i, 1);
+				}
+			}
+		}
+	};
+
+	/**
+	 * Finds the position of a Result object within a collection.
+	 *
+	 * Note: array.js's own indexOf() resolves items through get(), which
+	 * CD_Model overrides to look records up by ID, so we can't use it here.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model}  mc      The collection to search.
+	 * @param  {CD_Result} result  The result to find.
+	 *
+	 * @return {int} The index of the result, or -1 if it isn't in the collection.
+	 */
+	var index_of = function(mc, result)
+	{
+		for(var i = 0; i < mc.length; i++)
+		{
+			if( mc[i] === result )
+			{
+				return i;
+			}
+		}
+
+		return -1;
+	};
+
+	/**
+	 * Finds the Result object with the given ID within a collection. Unlike get(),
+	 * this works with IDs that aren't numeric.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection to search.
+	 * @param  {Mixed}    id  The ID to find.
+	 *
+	 * @return {CD_Result|null}
+	 */
+	var find_by_id = function(mc, id)
+	{
+		for(var i = 0; i < mc.length; i++)
+		{
+			if( mc[i] && typeof mc[i].id !== 'undefined' && mc[i].id !== null && String(mc[i].id) === String(id) )
+			{
+				return mc[i];
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Gets every value found at a dotted path within a record. When the path runs through
+	 * an array, each element is followed, and arrays found at the end of the path contribute
+	 * their elements as well as themselves. This lets {tags : 'red'} match a record whose
+	 * tags contain 'red', and {'users.id' : 5} match a record with a user whose ID is 5.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} record  The record to look in.
+	 * @param  {String} path    The dotted path.
+	 *
+	 * @return {Array} The values found. Empty if the path doesn't exist.
+	 */
+	var path_values = function(record, path)
+	{
+		var values   = [record],
+			segments = String(path).split('.'),
+			next, i;
+
+		var collect = function(value, key)
+		{
+			if( value !== null && typeof value === 'object' && typeof value[key] !== 'undefined' )
+			{
+				next.push(value[key]);
+			}
+		};
+
+		for(var step = 0; step < segments.length; step++)
+		{
+			next = [];
+
+			for(i = 0; i < values.length; i++)
+			{
+				collect(values[i], segments[step]);
+
+				// Follow each element of arrays in the middle of the path.
+				if( $.isArray(values[i]) && ! /^\d+$/.test(segments[step]) )
+				{
+					for(var e = 0; e < values[i].length; e++)
+					{
+						collect(values[i][e], segments[step]);
+					}
+				}
+			}
+
+			values = next;
+		}
+
+		// Arrays at the end of the path also match on their elements.
+		for(i = 0, next = values.slice(); i < values.length; i++)
+		{
+			if( $.isArray(values[i]) )
+			{
+				next = next.concat(values[i]);
+			}
+		}
+
+		return next;
+	};
+
+	/**
+	 * Converts a value into something that can be ordered with < and >.
+	 * Dates are compared by their time.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed}   value     The value to convert.
+	 * @param  {Boolean} as_date   Whether to treat the value as a date.
+	 *
+	 * @return {Mixed}
+	 */
+	var comparable = function(value, as_date)
+	{
+		if( value instanceof Date )
+		{
+			return value.getTime();
+		}
+
+		if( as_date && ( typeof value === 'string' || typeof value === 'number' ) )
+		{
+			return new Date(value).getTime();
+		}
+
+		return value;
+	};
+
+	/**
+	 * Loosely compares a value with what a clause expects, as get_where() always has.
+	 * Objects and arrays are compared deeply.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed} value     The value from the record.
+	 * @param  {Mixed} expected  The value from the clause.
+	 *
+	 * @return {Boolean}
+	 */
+	var loose_equal = function(value, expected)
+	{
+		if( value instanceof Date || expected instanceof Date )
+		{
+			return comparable(value, true) === comparable(expected, true);
+		}
+
+		if( typeof value === 'object' && typeof expected === 'object' )
+		{
+			return is_equal(value, expected);
+		}
+
+		// Note, we do a non–type comparison. As we can't guarantee the user knows what format
+		// the ID of an object might be in, due to JS being a loosly typed language (could be string, int etc.).
+		return value == expected; // jshint ignore:line
+	};
+
+	/**
+	 * Determines whether a clause value is an operator object, e.g. {$gt : 5}.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed} clause
+	 *
+	 * @return {Boolean}
+	 */
+	var is_operator = function(clause)
+	{
+		var keys = $.isPlainObject(clause) ? Object.keys(clause) : [];
+
+		for(var i = 0; i < keys.length; i++)
+		{
+			if( keys[i].charAt(0) !== '$' )
+			{
+				return false;
+			}
+		}
+
+		return keys.length > 0;
+	};
+
+	/**
+	 * Tests the values found at a path against a single operator.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Array}  values    The values found at the path.
+	 * @param  {String} operator  The operator, e.g. '$gt'.
+	 * @param  {Mixed}  operand   The operand, e.g. 5.
+	 * @param  {Object} clause    The whole operator object, for options like $options.
+	 *
+	 * @return {Boolean}
+	 */
+	var test_operator = function(values, operator, operand, clause)
+	{
+		var any = function(test)
+		{
+			for(var i = 0; i < values.length; i++)
+			{
+				if( test(values[i]) )
+				{
+					return true;
+				}
+			}
+
+			return false;
+		};
+
+		var in_list = function(value)
+		{
+			for(var i = 0; i < operand.length; i++)
+			{
+				if( loose_equal(value, operand[i]) )
+				{
+					return true;
+				}
+			}
+
+			return false;
+		};
+
+		var compare = function(test)
+		{
+			return any(function(value){
+
+				if( value === null || typeof value === 'undefined' )
+				{
+					return false;
+				}
+
+				var as_date = value instanceof Date || operand instanceof Date;
+
+				return test(comparable(value, as_date), comparable(operand, as_date));
+			});
+		};
+
+		switch( operator )
+		{
+			case '$eq'     : return any(function(value){ return loose_equal(value, operand); });
+			case '$ne'     : return ! any(function(value){ return loose_equal(value, operand); });
+			case '$in'     : return any(in_list);
+			case '$nin'    : return ! any(in_list);
+			case '$gt'     : return compare(function(a, b){ return a > b; });
+			case '$gte'    : return compare(function(a, b){ return a >= b; });
+			case '$lt'     : return compare(function(a, b){ return a < b; });
+			case '$lte'    : return compare(function(a, b){ return a <= b; });
+			case '$exists' : return ( values.length > 0 ) === Boolean(operand);
+			case '$regex'  :
+				// Leave off the g and y flags, so each test starts from the start of the value.
+				var re = operand instanceof RegExp ?
+					new RegExp(operand.source, ( operand.ignoreCase ? 'i' : '' ) + ( operand.multiline ? 'm' : '' )) :
+					new RegExp(operand, String(clause.$options || '').replace(/[gy]/g, ''));
+				return any(function(value){
+					return value !== null && typeof value !== 'undefined' && typeof value !== 'object' && re.test(String(value));
+				});
+			case '$options' : return true;
+		}
+
+		throw 'Error: Unknown query operator "' + operator + '".';
+	};
+
+	/**
+	 * Determines whether a record matches a where clause. Supports the operators
+	 * $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists and $regex (with $options),
+	 * and the combinators $or and $and, which take an array of where clauses.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} record  The record to test.
+	 * @param  {Object} where   The where clause.
+	 *
+	 * @return {Boolean}
+	 */
+	var matches = function(record, where)
+	{
+		var field, clause, values, operator, i, any;
+
+		for(field in where)
+		{
+			if( ! where.hasOwnProperty(field) )
+			{
+				continue;
+			}
+
+			clause = where[field];
+
+			if( field === '$and' || field === '$or' )
+			{
+				any = false;
+
+				for(i = 0; i < clause.length; i++)
+				{
+					if( matches(record, clause[i]) )
+					{
+						any = true;
+					}
+					else if( field === '$and' )
+					{
+						return false;
+					}
+				}
+
+				if( field === '$or' && ! any )
+				{
+					return false;
+				}
+
+				continue;
+			}
+
+			values = path_values(record, field);
+
+			if( is_operator(clause) )
+			{
+				for(operator in clause)
+				{
+					if( clause.hasOwnProperty(operator) && ! test_operator(values, operator, clause[operator], clause) )
+					{
+						return false;
+					}
+				}
+			}
+			else if( ! test_operator(values, '$eq', clause, {}) )
+			{
+				return false;
+			}
+		}
+
+		return true;
+	};
+
+	/**
+	 * Removes the given Result object from its collection, if it's in there.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model}  mc      The collection to remove the result from.
+	 * @param  {CD_Result} result  The result to remove.
+	 *
+	 * @return {Boolean} Whether or not the result was found and removed.
+	 */
+	var remove_result = function(mc, result)
+	{
+		var index = index_of(mc, result);
+
+		if( index === -1 )
+		{
+			return false;
+		}
+
+		// Splice emits the 'remove' event for us.
+		mc.splice(index, 1);
+		return true;
+	};
+
+	/**
+	 * Gets the data to send to save a result. New results send all of their fields, and existing
+	 * results can send just the ones that have changed since the last snapshot.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result        The result.
+	 * @param  {Boolean}   changed_only  Only send the changed fields of an existing result.
+	 *
+	 * @return {Object}
+	 */
+	var save_data = function(result, changed_only)
+	{
+		var changes, data;
+
+		if( result.is_new() || ! changed_only )
+		{
+			return result.toJSON();
+		}
+
+		changes = result.changed();
+		data    = {};
+
+		for(var prop in changes)
+		{
+			if( changes.hasOwnProperty(prop) )
+			{
+				data[prop] = changes[prop].to;
+			}
+		}
+
+		return data;
+	};
+
+	/**
+	 * Rolls back a save that was applied optimistically, after its request failed. New results are
+	 * taken back out of the collection. Existing results have the fields that were sent reverted to
+	 * the last snapshot, unless they've been changed again since. Fires a 'change' event for anything
+	 * reverted, and then a 'rollback' event with the error.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model}  mc      The collection.
+	 * @param  {CD_Result} result  The result that failed to save.
+	 * @param  {Boolean}   is_new  Whether the result was new when it was saved.
+	 * @param  {Error}     error   The error the request failed with.
+	 * @param  {Object}    sent    The data that was sent.
+	 *
+	 * @return void
+	 */
+	var rollback_save = function(mc, result, is_new, error, sent)
+	{
+		var changed = result.changed(),
+			fields  = [],
+			changes = {};
+
+		if( is_new )
+		{
+			remove_result(mc, result);
+		}
+		else
+		{
+			for(var prop in changed)
+			{
+				if( changed.hasOwnProperty(prop) && sent && sent.hasOwnProperty(prop) && is_equal(changed[prop].to, sent[prop]) )
+				{
+					fields.push(prop);
+					changes[prop] = { from : changed[prop].to, to : changed[prop].from };
+				}
+			}
+
+			result.revert(fields);
+
+			if( ! $.isEmptyObject(changes) )
+			{
+				mc.emit('change', result, changes);
+			}
+		}
+
+		mc.emit('rollback', error, result);
+	};
+
+	/**
+	 * Works out where a result is in its collection, as its index and the results either side of it.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model}  mc      The collection.
+	 * @param  {CD_Result} result  The result.
+	 *
+	 * @return {Object} {index, prev, next}. The index is -1, and the neighbours null, if the result isn't in the collection.
+	 */
+	var position_of = function(mc, result)
+	{
+		var index = index_of(mc, result);
+
+		return {
+			index : index,
+			prev  : index > 0 ? mc[index - 1] : null,
+			next  : index !== -1 && index + 1 < mc.length ? mc[index + 1] : null
+		};
+	};
+
+	/**
+	 * Rolls back a destroy that was applied optimistically, after its request failed, by putting
+	 * the result back in the collection. It goes back after the result that was before it, or before
+	 * the one that was after it, so it ends up in the right place if the collection has changed since.
+	 * Failing that, it goes back at its old index. Fires a 'rollback' event with the error.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model}  mc        The collection.
+	 * @param  {CD_Result} result    The result that failed to be deleted.
+	 * @param  {Object}    position  Where the result was in the collection, from position_of().
+	 * @param  {Error}     error     The error the request failed with.
+	 *
+	 * @return void
+	 */
+	var rollback_destroy = function(mc, result, position, error)
+	{
+		var index;
+
+		if( position.index !== -1 && index_of(mc, result) === -1 )
+		{
+			index = position.prev ? index_of(mc, position.prev) : -1;
+
+			if( index !== -1 )
+			{
+				index++;
+			}
+			else
+			{
+				index = position.next ? index_of(mc, position.next) : -1;
+				index = index !== -1 ? index : Math.min(position.index, mc.length);
+			}
+
+			// Splice emits the 'add' event for us.
+			mc.splice(index, 0, result);
+		}
+
+		mc.emit('rollback', error, result);
+	};
+
+	/**
+	 * Custom D Model Object
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 *
+	 * @since  1.5.0 Results are linked back to this collection.
+	 * @since  1.0.0 Introduced.
+	 *
+	 * @param {Object} properties 		Properties of this Object
+	 */
+	CD_Model = function(properties)
+	{
+		if( typeof properties === 'object' )
+		{
+			for(var prop in properties)
+			{
+				this.push(make_result(this, properties[prop]));
+			}
+		}
+	};
+
+
+	/**
+	 * Extends CD_Model, and therefore array.js and returns a function
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 * @author Sam Sehnert <josh@customd.com>
+	 *
+	 * @since  1.2.0 Removed _init Deferred that was impossible to actaully get to.
+	 * @since  1.1.0 Added ability to extend individual settings instead of overwriting the whole object.
+	 * @since  1.0.0 Introduced
+	 *
+	 * @param  {Object} 	methods Additonal methods to go onto the prototype
+	 * @return {Function}
+	 */
+	CD_Model.extend = function(methods){
+
+		// Assign methods, and settings
+		methods				= (typeof methods === 'undefined' ? {} : methods);
+		methods.settings	= ('settings' in methods) ? methods.settings : {} ;
+
+		/**
+		 * Model Collection Constructor
+		 *
+		 * @author  Josh Smith <josh@customd.com>
+		 * @since   1.0.0 Introduced.
+		 *
+		 * @param {Object} properties Unique properties of this Object
+		 */
+		function Model_Collection(properties)
+		{
+			var mc = this;
+
+			// Encapsulate the initialisation promise.
+			this._init_ajax = false;
+			this._init = $.Deferred();
+
+			// Keep track of the collections of this model, so related results can be found in them.
+			track_instance(Model_Collection, this);
+
+			// Make an ajax request to retrieve data, if set.
+			if( !properties && mc.settings.init && mc.settings.endpoint )
+			{
+				// Fire off a request to get collection data, then call the parent object
+				this.init();
+			}
+
+			// Just set the properties on this object using the parent objects method.
+			else if(typeof properties !== 'undefined')
+			{
+				// Call the parent Object
+				CD_Model.call(this, properties);
+			}
+
+			return this.__construct();
+		}
+
+		// Set the prototype and constructor properties
+		Model_Collection.prototype = Object.create(this.prototype);
+		Model_Collection.prototype.constructor = Model_Collection;
+
+		hide(Model_Collection, '_instances', []);
+
+		/**
+		 * Model Collection Sugary Construct Function
+		 * @return void
+		 */
+		Model_Collection.prototype.__construct = function(){};
+
+
+		/**
+		 * Model Collection init/loader function.
+		 *
+		 * Allows deferred loading after some setup has taken place.
+		 *
+		 * @author Sam Sehnert <sam@teamdf.com>
+		 *
+		 * @param {Object} params  Defaut Parameters
+		 * @param {Object} options Load options, e.g. {strategy : 'replace'}. Optional.
+		 *
+		 * @since  1.5.0 Restores params from the URL, when the history setting is on.
+		 * @since  1.5.0 Added load options.
+		 * @since  1.1.0 Introduced
+		 */
+		Model_Collection.prototype.init = function(params, options)
+		{
+			var mc = this;
+
+			// If the promise hasn't already been resolved...
+			if( ! mc._init_ajax)
+			{
+				if( $.isPlainObject(params) )
+				{
+					mc.settings.params = $.extend({}, mc.settings.params, params);
+				}
+
+				// Pick up the params in the URL, when the model syncs them.
+				start_history(mc);
+
+				// Fire off a request to get collection data, then call the parent object
+				// and save this AJAX request as the promise.
+				mc._init = load(mc, mc.settings.params, undefined, $.extend({}, options, { history : false }));
+
+				mc._init_ajax = true;
+			}
+
+			// Return the promise.
+			return settle(mc, mc._init.promise());
+		};
+
+
+		/**
+		 * Model Collection Prototype Settings
+		 * First thing we do is copy the existing Model_Collection_defaults onto this object.
+		 * @type {Object}
+		 */
+		Model_Collection.prototype.settings = $.extend({},Model_Collection_defaults);
+
+		/**
+		 * Assign custom values to the prototype.
+		 * This typically contains methods (e.g., init, __constructor, etc),
+		 * properties (e.g., Result_Model) or the settings object.
+		 */
+		for(var key in methods)
+		{
+			// If the methods key we're tyring to set already exists on the prototype AND that prototype
+			// is a plain object, then we want to extend that object, not replace it.
+			// E.g., in the case of 'Model_Collection.prototype.settings', that is already an object on the
+			// prototype, so any methods.settings values should extend the Model_Collection.prototype.settings.
+			//
+			// All other prototype variables will be replaced by the associated value passed in methods.
+
+			if( $.isPlainObject(Model_Collection.prototype[key]))
+			{
+				Model_Collection.prototype[key] = $.extend(Model_Collection.prototype[key], methods[key]);
+			}
+			else
+			{
+				// Set the method onto the property.
+				Model_Collection.prototype[key] = methods[key];
+			}
+		}
+
+		return Model_Collection;
+	};
+
+
+
+	/**
+	* Prototype of the Model Object
+	* @type {Object}
+	*/
+	CD_Model.prototype = Object.create(array.prototype);
+	CD_Model.prototype.constructor = CD_Model;
+
+	/**
+	 * Set to true (e.g., through CD_Model.extend) to make every list GET without a channel
+	 * abort the last one. Superseded by request channels.
+	 *
+	 * @since 1.5.0 Only list GETs are superseded. Requests are tracked per instance, as the 'default' channel.
+	 * @since 1.4.0 Introduced
+	 * @type {Boolean}
+	 */
+	CD_Model.prototype._last_request = false;
+
+	/**
+	 * Global request, response and error interceptors, applied to every model.
+	 *
+	 * @since 1.5.0 Introduced
+	 * @type {Object}
+	 */
+	CD_Model.interceptors = {
+		request  : [],
+		response : [],
+		error    : []
+	};
+
+	/**
+	 * The transports models can send their requests with, selected by the transport setting.
+	 *
+	 * A transport is called with the request object ({method, url, headers, data, dataType, timeout}),
+	 * and returns a jQuery promise that resolves and rejects like $.ajax, i.e. (response, text_status, xhr)
+	 * and (xhr, text_status, error_thrown). The promise must have an abort() method, and the xhr must
+	 * have a status, and getResponseHeader(). Add custom transports here, or set the setting to a function.
+	 *
+	 * @since 1.5.0 Introduced
+	 * @type {Object}
+	 */
+	CD_Model.transports = {
+		jquery : function(request){
+			return $.ajax(request);
+		},
+		fetch  : function(request){
+			return fetch_transport(request);
+		}
+	};
+
+	/**
+	 * Writes params as a query string, the same way models do. See the query setting for the options.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced
+	 *
+	 * @param  {Object} params   The params.
+	 * @param  {Object} options  Query settings ({arrays, dates, booleans, sort}). Optional.
+	 *
+	 * @return {String} The query string, without the '?'.
+	 */
+	CD_Model.serialize = function(params, options)
+	{
+		return serialize_query(params, options);
+	};
+
+	/**
+	 * Reads params back from a query string written by CD_Model.serialize().
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced
+	 *
+	 * @param  {String} query    The query string. A leading '?' or '#' is ignored.
+	 * @param  {Object} options  Query settings ({arrays}). Optional.
+	 *
+	 * @return {Object}
+	 */
+	CD_Model.parse = function(query, options)
+	{
+		return parse_query(query, options);
+	};
+
+	/**
+	 * The Error that native Promises are rejected with, when the promise setting is 'native'.
+	 *
+	 * Properties:
+	 *  - status      : The HTTP status of the response, 0 if there wasn't one, or null if no request failed.
+	 *  - text_status : e.g. 'error', 'timeout' or 'abort'.
+	 *  - response    : The response body, parsed if it was JSON.
+	 *  - aborted     : Whether the request was aborted.
+	 *  - errors      : Anything else the request was rejected with, e.g. the errors from validate().
+	 *  - xhr         : The XHR of the request.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced
+	 *
+	 * @param {String} message     The error message.
+	 * @param {Object} properties  The properties above. Optional.
+	 */
+	CD_Model.Request_Error = function(message, properties)
+	{
+		this.name        = 'Request_Error';
+		this.message     = message;
+		this.stack       = (new Error(message)).stack;
+		this.status      = null;
+		this.text_status = null;
+		this.response    = undefined;
+		this.aborted     = false;
+		this.errors      = null;
+		this.xhr         = null;
+
+		$.extend(this, properties);
+	};
+
+	CD_Model.Request_Error.prototype = Object.create(Error.prototype);
+	CD_Model.Request_Error.prototype.constructor = CD_Model.Request_Error;
+
+	/**
+	 * The response cache of this model. Every instance of the model shares one cache,
+	 * and a change made through any of them clears it. Models made with extend() get
+	 * their own, as their settings (e.g. headers and auth) can differ.
+	 *
+	 * @since 1.5.0 Introduced
+	 * @type {Object}
+	 */
+	Object.defineProperty(CD_Model.prototype, 'cache', {
+		get : function(){
+
+			var Model = this.constructor;
+
+			return Model.hasOwnProperty('_cache') ? Model._cache : hide(Model, '_cache', new Response_Cache());
+		}
+	});
+
+	/**
+	 * The latest request on each request channel of this model. Created the first time
+	 * it's used, so that every instance gets its own.
+	 *
+	 * @since 1.5.0 Introduced
+	 * @type {Object}
+	 */
+	Object.defineProperty(CD_Model.prototype, '_requests', {
+		get : function(){
+			return hide(this, '_requests', {});
+		}
+	});
+
+	/**
+	 * Registers a global interceptor, applied to every request made by every model.
+	 * Interceptors for a single model can be given in its `interceptors` setting.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {String}   type         request|response|error
+	 * @param  {Function} interceptor  The interceptor function.
+	 *
+	 * @return {Function} CD_Model
+	 */
+	CD_Model.intercept = function(type, interceptor)
+	{
+		if( ! CD_Model.interceptors.hasOwnProperty(type) )
+		{
+			throw 'Error: Unknown interceptor type "' + type + '".';
+		}
+
+		CD_Model.interceptors[type].push(interceptor);
+
+		return CD_Model;
+	};
+
+
+
+	/**
+	 * Wraps a value, or a promise of a value, in a jQuery promise.
+	 * Allows settings to be given as plain values, jQuery Deferreds or native Promises.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed} value  A value, or a thenable.
+	 *
+	 * @return {Object} jQuery Promise
+	 */
+	var when = function(value)
+	{
+		var deferred = $.Deferred();
+
+		if( value && typeof value.then === 'function' )
+		{
+			value.then(function(resolved){
+				deferred.resolve(resolved);
+			}, function(error){
+				deferred.reject(error);
+			});
+		}
+		else
+		{
+			deferred.resolve(value);
+		}
+
+		return deferred.promise();
+	};
+
+	/**
+	 * Converts the arguments a request promise was rejected with into an Error.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Array} args  The rejection arguments, e.g. (xhr, text_status, error_thrown).
+	 *
+	 * @return {Error} A CD_Model.Request_Error, unless the promise was rejected with an Error.
+	 */
+	var to_error = function(args)
+	{
+		var xhr         = args[0],
+			text_status = args[1];
+
+		if( xhr instanceof Error )
+		{
+			return xhr;
+		}
+
+		// Anything other than a failed request, e.g. 'No more records', or validation errors.
+		if( typeof text_status !== 'string' )
+		{
+			return new CD_Model.Request_Error(typeof xhr === 'string' ? xhr : 'Request failed', {
+				errors : typeof xhr === 'string' ? null : xhr
+			});
+		}
+
+		return new CD_Model.Request_Error(args[2] || text_status, {
+			status      : xhr ? xhr.status : 0,
+			text_status : text_status,
+			response    : xhr ? ( typeof xhr.responseJSON !== 'undefined' ? xhr.responseJSON : xhr.responseText ) : undefined,
+			aborted     : text_status === 'abort',
+			xhr         : xhr || null
+		});
+	};
+
+	/**
+	 * Returns a request promise in the form the model's promise setting asks for. With the setting
+	 * at 'native', that's a native Promise, resolved with the response, or rejected with an Error.
+	 * Native Promises keep the abort() method of the request.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The model.
+	 * @param  {Object}   request  The jQuery request promise.
+	 *
+	 * @return {Object} The jQuery promise, or a native Promise.
+	 */
+	var settle = function(mc, request)
+	{
+		var promise;
+
+		if( ! mc || mc.settings.promise !== 'native' || typeof root.Promise !== 'function' )
+		{
+			return request;
+		}
+
+		promise = new root.Promise(function(resolve, reject){
+			request.then(function(response){
+				resolve(response);
+			}, function(){
+				reject(to_error(arguments));
+			});
+		});
+
+		promise.abort = function(){
+
+			if( typeof request.abort === 'function' )
+			{
+				request.abort();
+			}
+
+			return promise;
+		};
+
+		return promise;
+	};
+
+	/**
+	 * Adds the auth token to a request, using the auth provider from the model settings.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The model making the request.
+	 * @param  {Object}   request  The request object.
+	 * @param  {Boolean}  refresh  Whether the provider should refresh the token.
+	 *
+	 * @return {Object} jQuery Promise, resolved once the request has been authenticated.
+	 */
+	var authenticate = function(mc, request, refresh)
+	{
+		var auth = mc.settings.auth,
+			pending;
+
+		if( ! auth )
+		{
+			return when();
+		}
+
+		// Allow the auth setting to be given as just the token provider.
+		if( typeof auth === 'function' )
+		{
+			auth = { token : auth };
+		}
+
+		auth = $.extend({ header : 'Authorization', scheme : 'Bearer' }, auth);
+
+		// A provider that throws fails the request, rather than the caller.
+		try
+		{
+			pending = auth.token.call(mc, refresh);
+		}
+		catch(error)
+		{
+			return ($.Deferred()).reject(error).promise();
+		}
+
+		return when(pending).then(function(token){
+			if( token )
+			{
+				request.headers[auth.header] = auth.scheme ? auth.scheme + ' ' + token : token;
+			}
+		});
+	};
+
+	/**
+	 * Gets the retry settings of a model, filled out with the defaults.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The model making the request.
+	 *
+	 * @return {Object}
+	 */
+	var retry_settings = function(mc)
+	{
+		var retry = mc.settings.retry;
+
+		// Allow the retry setting to be given as just the number of attempts.
+		if( typeof retry === 'number' )
+		{
+			retry = { attempts : retry };
+		}
+
+		return $.extend({}, Retry_defaults, retry || { attempts : 0 });
+	};
+
+	/**
+	 * Determines whether a failed request should be tried again.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc           The model making the request.
+	 * @param  {Object}   request      The request object.
+	 * @param  {Object}   xhr          The failed XHR.
+	 * @param  {String}   text_status  The text status of the failure.
+	 * @param  {int}      attempt      The number of attempts made so far.
+	 *
+	 * @return {Boolean}
+	 */
+	var is_retryable = function(mc, request, xhr, text_status, attempt)
+	{
+		var retry = retry_settings(mc);
+
+		if( attempt >= retry.attempts || $.inArray(request.method.toLowerCase(), retry.methods) === -1 )
+		{
+			return false;
+		}
+
+		return $.inArray(text_status, retry.text_statuses) !== -1 || ( xhr && $.inArray(xhr.status, retry.statuses) !== -1 );
+	};
+
+	/**
+	 * Works out how long to wait before the next attempt, doubling the delay each time.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The model making the request.
+	 * @param  {int}      attempt  The number of attempts made so far.
+	 *
+	 * @return {int} The delay in milliseconds.
+	 */
+	var retry_delay = function(mc, attempt)
+	{
+		var retry = retry_settings(mc);
+
+		return Math.round(retry.delay * Math.pow(2, attempt - 1) + Math.random() * retry.jitter);
+	};
+
+	/**
+	 * Stores the responses of the GET requests to an endpoint, keyed on their URL,
+	 * along with the requests that are still in flight.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 */
+	var Response_Cache = function()
+	{
+		this.entries = {};
+		this.pending = {};
+	};
+
+	Response_Cache.prototype = {
+
+		constructor : Response_Cache,
+
+		/**
+		 * Stores the resolved arguments of a request.
+		 *
+		 * @param  {String} url   The request URL.
+		 * @param  {Array}  args  The arguments the request resolved with (response, text status, xhr).
+		 *
+		 * @return this
+		 */
+		set : function(url, args){
+
+			this.entries[url] = {
+				time : $.now(),
+				args : [copy(args[0]), args[1], args[2]]
+			};
+
+			return this;
+		},
+
+		/**
+		 * Gets a stored response.
+		 *
+		 * @param  {String} url  The request URL.
+		 *
+		 * @return {Object|null} The entry ({time, args}), or null if there isn't one.
+		 */
+		get : function(url){
+
+			return this.entries.hasOwnProperty(url) ? this.entries[url] : null;
+		},
+
+		/**
+		 * Removes stored responses.
+		 *
+		 * @param  {String} url  Only remove the response for this URL. Optional.
+		 *
+		 * @return this
+		 */
+		clear : function(url){
+
+			if( typeof url === 'undefined' )
+			{
+				this.entries = {};
+			}
+			else
+			{
+				delete this.entries[url];
+			}
+
+			return this;
+		}
+	};
+
+	/**
+	 * Gets the cache settings of a model, filled out with the defaults.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The model making the request.
+	 *
+	 * @return {Object|Boolean} The cache settings, or false if caching is disabled.
+	 */
+	var cache_settings = function(mc)
+	{
+		var cache = mc.settings.cache;
+
+		if( ! cache )
+		{
+			return false;
+		}
+
+		// Allow the cache setting to be given as just the TTL.
+		if( typeof cache === 'number' )
+		{
+			cache = { ttl : cache };
+		}
+
+		return $.extend({ ttl : 60000, stale : false }, cache);
+	};
+
+	/**
+	 * Serves a GET request from the model's cache when there's a fresh response,
+	 * otherwise sends it, sharing the request with any identical ones in flight.
+	 * In stale-while-revalidate mode, expired responses are served while the
+	 * cache is refreshed in the background.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc        The model making the request.
+	 * @param  {Object}   request   The request object.
+	 * @param  {Function} dispatch  Sends the request.
+	 *
+	 * @return {Object} Promise, with an abort() method.
+	 */
+	var cache_request = function(mc, request, dispatch)
+	{
+		var settings = cache_settings(mc),
+			store    = mc.cache,
+			url      = request.url,
+			entry    = store.get(url),
+			shared;
+
+		var cached = function()
+		{
+			return resolved(copy(entry.args[0]), entry.args[1], entry.args[2]);
+		};
+
+		if( entry && $.now() - entry.time < settings.ttl )
+		{
+			return cached();
+		}
+
+		if( ! store.pending[url] )
+		{
+			shared = store.pending[url] = { request : dispatch(request), callers : 0 };
+
+			shared.request
+				.done(function(){
+					store.set(url, arguments);
+				})
+				.always(function(){
+					if( store.pending[url] === shared )
+					{
+						delete store.pending[url];
+					}
+				});
+		}
+
+		// The request we just sent will revalidate the stale entry.
+		if( entry && settings.stale )
+		{
+			return cached();
+		}
+
+		return follow_request(store.pending[url] || shared);
+	};
+
+	/**
+	 * Gives one caller of a shared request its own promise. Aborting it only lets go of that
+	 * caller; the request itself is aborted once no caller is left waiting on it.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} shared  The shared request ({request, callers}).
+	 *
+	 * @return {Object} Promise, with an abort() method.
+	 */
+	var follow_request = function(shared)
+	{
+		var deferred = $.Deferred(),
+			promise  = deferred.promise(),
+			waiting  = true;
+
+		var detach = function()
+		{
+			waiting = false;
+			shared.callers--;
+		};
+
+		shared.callers++;
+
+		shared.request
+			.done(function(response, text_status, xhr){
+				if( waiting )
+				{
+					detach();
+					deferred.resolve(copy(response), text_status, xhr);
+				}
+			})
+			.fail(function(){
+				if( waiting )
+				{
+					detach();
+					deferred.rejectWith(this, arguments);
+				}
+			});
+
+		promise.abort = function(){
+
+			if( waiting )
+			{
+				detach();
+				deferred.reject(null, 'abort', 'abort');
+
+				if( shared.callers === 0 )
+				{
+					shared.request.abort();
+				}
+			}
+
+			return promise;
+		};
+
+		return promise;
+	};
+
+	/**
+	 * Gets the ordered list of interceptors of the given type for a model.
+	 * Global interceptors run before those defined in the model settings.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc    The model making the request.
+	 * @param  {String}   type  request|response|error
+	 *
+	 * @return {Array}
+	 */
+	var interceptors = function(mc, type)
+	{
+		var local = mc.settings.interceptors || {};
+
+		return CD_Model.interceptors[type].concat(local[type] || []);
+	};
+
+	/**
+	 * Passes a value through a chain of request or response interceptors, in order.
+	 * Each interceptor may modify the value in place, return a replacement, or return a promise of a replacement.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc     The model making the request.
+	 * @param  {String}   type   request|response
+	 * @param  {Mixed}    value  The request object, or the response.
+	 * @param  {Array}    args   Additional arguments to pass to each interceptor.
+	 *
+	 * @return {Object} jQuery Promise, resolved with the final value.
+	 */
+	var intercept = function(mc, type, value, args)
+	{
+		var promise = when(value);
+
+		$.each(interceptors(mc, type), function(i, interceptor){
+			promise = promise.then(function(current){
+				return when(interceptor.apply(mc, [current].concat(args))).then(function(returned){
+					return typeof returned === 'undefined' ? current : returned;
+				});
+			});
+		});
+
+		return promise;
+	};
+
+	/**
+	 * Passes a failed request through the chain of error interceptors, in order.
+	 * Each interceptor may modify the error in place or return a replacement. An interceptor
+	 * can also recover the request by returning a promise that resolves with a response.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The model making the request.
+	 * @param  {Object}   error    The error ({xhr, status, error}).
+	 * @param  {Object}   request  The request object.
+	 *
+	 * @return {Object} jQuery Promise, rejected with the final error, or resolved with a recovered response.
+	 */
+	var intercept_error = function(mc, error, request)
+	{
+		var deferred = $.Deferred(),
+			chain    = interceptors(mc, 'error'),
+			index    = 0;
+
+		var next = function()
+		{
+			if( index >= chain.length )
+			{
+				deferred.reject(error);
+				return;
+			}
+
+			var returned = chain[index++].call(mc, error, request);
+
+			if( returned && typeof returned.then === 'function' )
+			{
+				when(returned)
+					.done(function(response){
+						deferred.resolve(response);
+					})
+					.fail(function(replaced){
+						if( $.isPlainObject(replaced) )
+						{
+							error = replaced;
+						}
+						next();
+					});
+			}
+			else
+			{
+				if( typeof returned !== 'undefined' )
+				{
+					error = returned;
+				}
+				next();
+			}
+		};
+
+		next();
+
+		return deferred.promise();
+	};
+
+	/**
+	 * Gets the transport a model sends its requests with.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The model.
+	 *
+	 * @return {Function}
+	 */
+	var transport = function(mc)
+	{
+		var setting = mc.settings.transport || 'jquery',
+			send    = typeof setting === 'function' ? setting : CD_Model.transports[setting];
+
+		if( typeof send !== 'function' )
+		{
+			throw 'Error: The "' + setting + '" transport has not been defined.';
+		}
+
+		return send;
+	};
+
+	/**
+	 * Sends a request with fetch. Resolves and rejects like $.ajax, with an XHR-like object
+	 * that has the status, responseText, responseJSON and getResponseHeader() of the response.
+	 * Requests are cancelled with an AbortController, on abort() or when they time out.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} request  The request object.
+	 *
+	 * @return {Object} Promise, which is also the XHR-like object, with an abort() method.
+	 */
+	var fetch_transport = function(request)
+	{
+		var deferred   = $.Deferred(),
+			controller = typeof AbortController === 'function' ? new AbortController() : null,
+			method     = String(request.method || request.type || 'get').toUpperCase(),
+			headers    = $.extend({}, request.headers),
+			ended      = null,
+			timer      = null,
+			body;
+
+		var xhr = {
+			readyState   : 0,
+			status       : 0,
+			statusText   : '',
+			responseText : '',
+			headers      : null,
+			getResponseHeader : function(name){
+				return xhr.headers ? xhr.headers.get(name) : null;
+			},
+			abort : function(reason){
+
+				ended = ended || reason || 'abort';
+
+				if( controller )
+				{
+					controller.abort();
+				}
+				else
+				{
+					deferred.reject(xhr, ended, ended);
+				}
+
+				return xhr;
+			}
+		};
+
+		// Send data the way $.ajax does, unless it's already been encoded.
+		if( method !== 'GET' && method !== 'HEAD' && typeof request.data !== 'undefined' )
+		{
+			body = typeof request.data === 'string' ? request.data : $.param(request.data);
+
+			if( ! headers['Content-Type'] )
+			{
+				headers['Content-Type'] = request.contentType || 'application/x-www-form-urlencoded; charset=UTF-8';
+			}
+		}
+
+		if( request.timeout )
+		{
+			timer = setTimeout(function(){
+				xhr.abort('timeout');
+			}, request.timeout);
+		}
+
+		fetch(request.url, {
+			method      : method,
+			headers     : headers,
+			body        : body,
+			signal      : controller ? controller.signal : undefined,
+			credentials : ( request.xhrFields && request.xhrFields.withCredentials ) ? 'include' : 'same-origin'
+		})
+			.then(function(response){
+
+				xhr.readyState = 4;
+				xhr.status     = response.status;
+				xhr.statusText = response.statusText;
+				xhr.headers    = response.headers;
+
+				return response.text();
+			})
+			.then(function(text){
+
+				var success = ( xhr.status >= 200 && xhr.status < 300 ) || xhr.status === 304,
+					json;
+
+				clearTimeout(timer);
+				xhr.responseText = text;
+
+				try
+				{
+					json = text === '' ? undefined : JSON.parse(text);
+					xhr.responseJSON = json;
+				}
+				catch(error)
+				{
+					if( success && request.dataType === 'json' )
+					{
+						deferred.reject(xhr, 'parsererror', error);
+						return;
+					}
+				}
+
+				if( success )
+				{
+					deferred.resolve(request.dataType === 'json' ? json : text, xhr.status === 204 ? 'nocontent' : 'success', xhr);
+				}
+				else
+				{
+					deferred.reject(xhr, 'error', xhr.statusText);
+				}
+			}, function(error){
+
+				clearTimeout(timer);
+				deferred.reject(xhr, ended || 'error', ended || error.message);
+			});
+
+		return deferred.promise(xhr);
+	};
+
+	/**
+	 * An in-memory backend for tests and prototyping, used as a model's transport. It's seeded
+	 * with records per endpoint, and answers requests the way the model expects an API to:
+	 *
+	 *  - GET endpoint       : Lists records, filtered by any params other than limit, offset, sort and q.
+	 *                         Comma separated filter values match any of their values. q searches the
+	 *                         search_fields of the endpoint (or every field), sort is a comma separated list
+	 *                         of fields, each prefixed with '-' to sort descending, and limit and offset page.
+	 *  - GET endpoint/id    : Gets a record.
+	 *  - POST endpoint      : Creates a record, giving it the next numeric ID if it doesn't have one.
+	 *  - PUT endpoint/id    : Updates a record.
+	 *  - DELETE endpoint/id : Deletes a record.
+	 *
+	 * Records are sent under the attribute option, with the total in the total attribute and the
+	 * X-Total-Count header.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param {Object} options  {latency : ms, or [min, max], attribute : 'data', total : 'total'}. Optional.
+	 */
+	var Mock_Server = function(options)
+	{
+		this.options   = $.extend({ latency : 0, attribute : 'data', total : 'total' }, options);
+		this.endpoints = {};
+		this.failures  = [];
+	};
+
+	Mock_Server.prototype = {
+
+		constructor : Mock_Server,
+
+		/**
+		 * Seeds an endpoint with records, replacing any it already has.
+		 *
+		 * @param  {String} endpoint  The endpoint, as in the model settings.
+		 * @param  {Array}  records   The records.
+		 * @param  {Object} options   {search_fields : [...]}. Optional.
+		 *
+		 * @return this
+		 */
+		seed : function(endpoint, records, options){
+
+			this.endpoints[mock_path(endpoint)] = {
+				records       : copy($.makeArray(records)),
+				search_fields : ( options && options.search_fields ) || []
+			};
+
+			return this;
+		},
+
+		/**
+		 * Gets a copy of the records an endpoint has now.
+		 *
+		 * @param  {String} endpoint  The endpoint.
+		 *
+		 * @return {Array}
+		 */
+		records : function(endpoint){
+
+			var seeded = this.endpoints[mock_path(endpoint)];
+
+			return seeded ? copy(seeded.records) : [];
+		},
+
+		/**
+		 * Makes matching requests fail.
+		 *
+		 * @param  {String} method    GET|PUT|POST|DELETE, or '*' for any.
+		 * @param  {String} endpoint  The endpoint, or the URL of a record, without the query string.
+		 * @param  {Mixed}  error     An HTTP status, 'timeout', or {status, body}.
+		 * @param  {int}    times     How many requests should fail. Defaults to 1, and can be Infinity.
+		 *
+		 * @return this
+		 */
+		fail : function(method, endpoint, error, times){
+
+			this.failures.push({
+				method : String(method).toUpperCase(),
+				path   : mock_path(endpoint),
+				error  : $.isPlainObject(error) ? error : ( error === 'timeout' ? { timeout : true } : { status : error } ),
+				times  : typeof times === 'undefined' ? 1 : times
+			});
+
+			return this;
+		},
+
+		/**
+		 * Removes every seeded record, and every failure.
+		 *
+		 * @return this
+		 */
+		reset : function(){
+
+			this.endpoints = {};
+			this.failures  = [];
+
+			return this;
+		},
+
+		/**
+		 * Gets the transport that sends requests to this server, for the transport setting.
+		 *
+		 * @return {Function}
+		 */
+		transport : function(){
+
+			var server = this;
+
+			return function(request){
+				return mock_transport(server, request);
+			};
+		},
+
+		/**
+		 * Works out the response to a request.
+		 *
+		 * @param  {String} method  The request method.
+		 * @param  {String} url     The request URL.
+		 * @param  {Mixed}  data    The request data.
+		 *
+		 * @return {Object} {status, body}
+		 */
+		respond : function(method, url, data){
+
+			var parts    = String(url).split('?'),
+				path     = mock_path(parts[0]),
+				params   = parse_query(parts[1]),
+				endpoint = null,
+				id       = null,
+				options  = this.options,
+				body     = {},
+				records, record, index, limit, offset, where;
+
+			// Find the endpoint, and the ID of the record the request is for.
+			if( this.endpoints.hasOwnProperty(path) )
+			{
+				endpoint = this.endpoints[path];
+			}
+			else if( this.endpoints.hasOwnProperty(path.replace(/\/[^\/]*$/, '')) )
+			{
+				endpoint = this.endpoints[path.replace(/\/[^\/]*$/, '')];
+				id       = decodeURIComponent(path.replace(/^.*\//, ''));
+			}
+
+			if( ! endpoint )
+			{
+				return { status : 404, body : { message : 'Not Found' } };
+			}
+
+			records = endpoint.records;
+
+			if( id !== null )
+			{
+				for(index = 0; index < records.length; index++)
+				{
+					if( String(records[index].id) === id )
+					{
+						break;
+					}
+				}
+
+				if( index === records.length || method === 'POST' )
+				{
+					return index === records.length ? { status : 404, body : { message : 'Not Found' } } : { status : 405, body : { message : 'Method Not Allowed' } };
+				}
+
+				if( method === 'DELETE' )
+				{
+					records.splice(index, 1);
+					return { status : 204 };
+				}
+
+				if( method === 'PUT' )
+				{
+					$.extend(records[index], mock_data(data));
+				}
+
+				body[options.attribute] = copy(records[index]);
+
+				return { status : 200, body : body };
+			}
+
+			if( method === 'POST' )
+			{
+				record = $.extend({}, mock_data(data));
+
+				if( typeof record.id === 'undefined' || record.id === null || record.id === '' )
+				{
+					record.id = 1;
+
+					for(index = 0; index < records.length; index++)
+					{
+						record.id = Math.max(record.id, ( Number(records[index].id) || 0 ) + 1);
+					}
+				}
+
+				records.push(record);
+				body[options.attribute] = copy(record);
+
+				return { status : 201, body : body };
+			}
+
+			if( method !== 'GET' )
+			{
+				return { status : 405, body : { message : 'Method Not Allowed' } };
+			}
+
+			// List the records, filtered, searched, sorted and paged.
+			// Nested params filter on dotted paths, e.g. owner[id]=4 on owner.id.
+			where = {};
+
+			var filter = function(path, value)
+			{
+				if( $.isPlainObject(value) )
+				{
+					$.each(value, function(key, value){
+						filter(path + '.' + key, value);
+					});
+				}
+				else if( $.isArray(value) )
+				{
+					where[path] = { $in : value };
+				}
+				else
+				{
+					where[path] = String(value).indexOf(',') === -1 ? value : { $in : [value].concat(String(value).split(',')) };
+				}
+			};
+
+			$.each(params, function(param, value){
+				if( $.inArray(param, ['limit', 'offset', 'sort', 'q']) === -1 )
+				{
+					filter(param, value);
+				}
+			});
+
+			records = $.grep(records, function(record){
+				return matches(record, where) && local_search(endpoint.search_fields, record, params.q);
+			});
+
+			if( params.sort )
+			{
+				records.sort(local_comparator(params.sort));
+			}
+
+			limit  = Number(params.limit) || 0;
+			offset = Number(params.offset) || 0;
+
+			body[options.total]     = records.length;
+			body[options.attribute] = copy(limit ? records.slice(offset, offset + limit) : records.slice(offset));
+
+			return { status : 200, body : body, headers : { 'X-Total-Count' : String(records.length) } };
+		}
+	};
+
+	CD_Model.Mock_Server = Mock_Server;
+
+	/**
+	 * Normalises an endpoint or URL into a path to match requests on.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {String} url  The endpoint or URL, without a query string.
+	 *
+	 * @return {String}
+	 */
+	var mock_path = function(url)
+	{
+		return String(url).split('?')[0].replace(/\/+$/, '');
+	};
+
+	/**
+	 * Reads the data sent to the mock server, which is an object unless it was encoded first.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed} data  The request data.
+	 *
+	 * @return {Object}
+	 */
+	var mock_data = function(data)
+	{
+		if( typeof data !== 'string' )
+		{
+			return copy(data || {});
+		}
+
+		try
+		{
+			return JSON.parse(data);
+		}
+		catch(error)
+		{
+			return parse_query(data);
+		}
+	};
+
+	/**
+	 * Sends a request to a mock server, after its latency. Resolves and rejects like $.ajax.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mock_Server} server   The mock server.
+	 * @param  {Object}      request  The request object.
+	 *
+	 * @return {Object} Promise, which is also the XHR-like object, with an abort() method.
+	 */
+	var mock_transport = function(server, request)
+	{
+		var deferred = $.Deferred(),
+			method   = String(request.method || request.type || 'get').toUpperCase(),
+			latency  = server.options.latency,
+			path     = mock_path(request.url),
+			failure  = null,
+			headers  = {},
+			timer;
+
+		var xhr = {
+			status       : 0,
+			statusText   : '',
+			responseText : '',
+			getResponseHeader : function(name){
+
+				for(var header in headers)
+				{
+					if( headers.hasOwnProperty(header) && header.toLowerCase() === String(name).toLowerCase() )
+					{
+						return headers[header];
+					}
+				}
+
+				return null;
+			},
+			abort : function(){
+				clearTimeout(timer);
+				deferred.reject(xhr, 'abort', 'abort');
+				return xhr;
+			}
+		};
+
+		// Use up the first failure that matches the request.
+		for(var i = 0; i < server.failures.length; i++)
+		{
+			if( server.failures[i].times > 0 && ( server.failures[i].method === '*' || server.failures[i].method === method ) && server.failures[i].path === path )
+			{
+				failure = server.failures[i];
+				failure.times--;
+				break;
+			}
+		}
+
+		if( $.isArray(latency) )
+		{
+			latency = latency[0] + Math.random() * ( latency[1] - latency[0] );
+		}
+
+		// Timeouts take as long as the request is willing to wait.
+		timer = setTimeout(function(){
+
+			var response;
+
+			if( failure && failure.error.timeout )
+			{
+				deferred.reject(xhr, 'timeout', 'timeout');
+				return;
+			}
+
+			response = failure ? { status : failure.error.status || 500, body : failure.error.body || { message : 'Internal Server Error' } } : server.respond(method, request.url, request.data);
+
+			headers          = response.headers || {};
+			xhr.status       = response.status;
+			xhr.responseJSON = response.body;
+			xhr.responseText = typeof response.body === 'undefined' ? '' : JSON.stringify(response.body);
+
+			if( response.status >= 200 && response.status < 300 )
+			{
+				xhr.statusText = 'OK';
+				deferred.resolve(copy(response.body), response.status === 204 ? 'nocontent' : 'success', xhr);
+			}
+			else
+			{
+				xhr.statusText = 'HTTP ' + response.status;
+				deferred.reject(xhr, 'error', xhr.statusText);
+			}
+
+		}, failure && failure.error.timeout ? ( request.timeout || 5000 ) : latency);
+
+		return deferred.promise(xhr);
+	};
+
+	/**
+	 * Sends a request object to the server with the model's transport, through the interceptor pipeline. When an auth provider
+	 * has been set, the request is authenticated first, and replayed once with a refreshed token if it comes back 401.
+	 * Failed requests are retried with exponential backoff, according to the retry setting.
+	 *
+	 * Fires 'request' on the model when the request is sent, then one of 'sync', 'error' or 'abort'.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The model making the request.
+	 * @param  {Object}   request  The request object.
+	 *
+	 * @return {Object} Promise, with an abort() method.
+	 */
+	var send_request = function(mc, request)
+	{
+		var deferred  = $.Deferred(),
+			promise   = deferred.promise(),
+			aborted   = false,
+			refreshed = false,
+			attempt   = 0,
+			timer     = null,
+			xhr       = null;
+
+		// Let the model know how the request went.
+		deferred
+			.done(function(response){
+				mc.emit('sync', response, request);
+			})
+			.fail(function(jqxhr, text_status, error_thrown){
+				if( text_status === 'abort' )
+				{
+					mc.emit('abort', request);
+				}
+				else
+				{
+					mc.emit('error', jqxhr, text_status, error_thrown, request);
+				}
+			});
+
+		var succeed = function(response, text_status, jqxhr)
+		{
+			intercept(mc, 'response', response, [request, jqxhr])
+				.done(function(response){
+					deferred.resolve(response, text_status, jqxhr);
+				})
+				.fail(function(error){
+					fail(jqxhr, 'error', error);
+				});
+		};
+
+		var fail = function(jqxhr, text_status, error_thrown)
+		{
+			intercept_error(mc, { xhr : jqxhr, status : text_status, error : error_thrown }, request)
+				.done(function(response){
+					deferred.resolve(response, 'success', jqxhr);
+				})
+				.fail(function(error){
+					deferred.reject(error.xhr, error.status, error.error);
+				});
+		};
+
+		var send = function(refresh)
+		{
+			authenticate(mc, request, refresh)
+				.done(function(){
+
+					// Aborted while we were waiting on the token.
+					if( aborted )
+					{
+						return;
+					}
+
+					attempt++;
+
+					xhr = transport(mc)(request)
+						.done(succeed)
+						.fail(function(jqxhr, text_status, error_thrown){
+
+							if( aborted )
+							{
+								fail(jqxhr, text_status, error_thrown);
+								return;
+							}
+
+							// Get a fresh token, and give the request one more go.
+							if( jqxhr && jqxhr.status === 401 && mc.settings.auth && ! refreshed )
+							{
+								// Nothing in flight while we wait on the token, so abort() can reject straight away.
+								refreshed = true;
+								xhr       = null;
+								send(true);
+								return;
+							}
+
+							if( is_retryable(mc, request, jqxhr, text_status, attempt) )
+							{
+								var delay = retry_delay(mc, attempt);
+
+								// Nothing in flight while we wait, so abort() can reject straight away.
+								xhr   = null;
+								timer = setTimeout(function(){
+									timer = null;
+									send(false);
+								}, delay);
+
+								mc.emit('retry', attempt, delay, request);
+								return;
+							}
+
+							fail(jqxhr, text_status, error_thrown);
+						});
+				})
+				.fail(function(error){
+					fail(null, 'error', error);
+				});
+		};
+
+		promise.abort = function(){
+
+			aborted = true;
+
+			if( timer )
+			{
+				clearTimeout(timer);
+				timer = null;
+			}
+
+			if( xhr )
+			{
+				xhr.abort();
+			}
+			else
+			{
+				deferred.reject(null, 'abort', 'abort');
+			}
+
+			return promise;
+		};
+
+		intercept(mc, 'request', request, [])
+			.done(function(intercepted){
+
+				request = intercepted;
+
+				if( aborted )
+				{
+					return;
+				}
+
+				mc.emit('request', request);
+
+				// A request interceptor can short-circuit the request with a canned response.
+				if( typeof request.response !== 'undefined' )
+				{
+					succeed(request.response, 'success', null);
+					return;
+				}
+
+				send(false);
+			})
+			.fail(function(error){
+				fail(null, 'error', error);
+			});
+
+		return promise;
+	};
+
+	/**
+	 * Builds the API toolset of a model, called with the model as this. Requests made
+	 * through it always return jQuery promises, whatever the promise setting is.
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 * @since  1.5.0 Moved off the prototype, so api() can return native Promises.
+	 * @since  1.5.0 Added configurable request headers, auth token provider and interceptors.
+	 * @since  1.0.0 Introduced.
+	 *
+	 * @return {Object}
+	 */
+	var request_api = function(){
+
+		//
+		// Define properties on the API object
+		//
+		var self = this;
+
+		/**
+		 * Private API request method
+		 *
+		 * @author Josh Smith <josh@customd.com>
+		 * @since  1.5.0 Added the cache request option.
+		 * @since  1.5.0 Added request channels.
+		 * @since  1.5.0 Added request headers, auth and caching. Allows the endpoint to be omitted, given as a record ID, or an absolute URL.
+		 * @since  1.4.2 Added timeout as a configurable setting.
+		 * @since  1.4.0 Added ability to discard simultaneous requests.
+		 * @since  1.0.0 Introduced.
+		 *
+		 * @param  {String} method GET|PUT|POST|DELETE
+		 * @param  {String} endpoint endpoint extra parameters
+		 * @param  {Object} data   Data to Put/Post
+		 * @param  {Object} options Request options ({channel, cache}). Optional.
+		 * @return {Object}        Request Promise
+		 */
+		var _make_request = function(method, endpoint, data, options){
+
+			// Make sure an API Endpoint has been defined
+			if( ! this.settings.endpoint )
+			{
+				throw 'Error: The API Toolset has not been setup correctly.';
+			}
+
+			var url     = this.settings.endpoint.replace(/\/+$/, ''),
+				headers = this.settings.headers;
+
+			endpoint = (typeof endpoint === 'undefined' || endpoint === null) ? '' : String(endpoint);
+
+			// Absolute URLs (e.g., from Link headers) are requested as they are.
+			if( /^([a-z][a-z0-9+.\-]*:)?\/\//i.test(endpoint) )
+			{
+				url      = endpoint;
+				endpoint = '';
+			}
+			else if(endpoint !== '' && endpoint.charAt(0) !== '?'){
+				url  += "/";
+			}
+
+			// Build a request object
+			var request = {
+				'method'     : method,
+				'url'        : url + endpoint,
+				'dataType'   : 'json',
+				'timeout'    : this.settings.timeout || 5000,
+				'headers'    : {}
+			};
+
+			if( method !== 'get' && data )
+			{
+				request.data = data;
+			}
+
+			// Headers can be a static object, or a function evaluated for each request.
+			if( typeof headers === 'function' )
+			{
+				headers = headers.call(this, request);
+			}
+
+			$.extend(request.headers, headers);
+
+			var channel = ( options && options.channel ) || null,
+				sent;
+
+			// In the old mode, list GETs (with no record ID) still supersede each other. Writes never do.
+			if( ! channel && self._last_request !== false && method === 'get' && ( endpoint === '' || endpoint.charAt(0) === '?' ) )
+			{
+				channel = 'default';
+			}
+
+			// A new request on a channel supersedes the one before it.
+			if( channel )
+			{
+				self.abort(channel);
+			}
+
+			// Serve GETs from the cache, and share identical GETs that are in flight. GETs that
+			// skip the cache still leave their fresh response in it.
+			if( method !== 'get' || ! cache_settings(this) )
+			{
+				sent = send_request(this, request);
+			}
+			else if( options && options.cache === false )
+			{
+				sent = send_request(this, request).done(function(){
+					self.cache.set(request.url, arguments);
+				});
+			}
+			else
+			{
+				sent = cache_request(this, request, send_request.bind(null, this));
+			}
+
+			if( channel )
+			{
+				self._requests[channel] = sent;
+			}
+
+			// Anything we've cached for this endpoint may be out of date now.
+			if( method !== 'get' && cache_settings(this) )
+			{
+				sent.done(function(){
+					self.cache.clear();
+				});
+			}
+
+			return sent;
+		};
+
+		/**
+		 * Return a function set used to communicate with the back end server.
+		 */
+		return {
+
+			/**
+			 * Perform a GET request, to the given endpoint.
+			 * @param  {[type]} params [description]
+			 * @param  {[type]} endpoint [description]
+			 * @param  {Object} options Request options ({channel, cache}). Optional.
+			 * @return {[type]}        [description]
+			 *
+			 * @since 1.5.0 Added request options.
+			 * @since 1.5.0 Params are written by the shared query string serializer.
+			 * @since 1.5.0 Don't add a trailing '/' to the endpoint when there's no query string.
+			 * @since 1.0.1 Added clause to filter null params from query.
+			 * @since 1.0.0 Introduced
+			 */
+			get : function(params, endpoint, options){
+
+				var query_string = '';
+
+				if( $.isPlainObject(params) )
+				{
+					query_string = serialize_query(params, self.settings.query);
+					query_string = query_string === '' ? '' : '?' + query_string;
+				}
+				else if( params )
+				{
+					query_string = params;
+				}
+
+				if( endpoint )
+				{
+					query_string = endpoint + (query_string === '' ? '' : '/' + query_string);
+				}
+
+				return _make_request.apply(self, ['get', query_string, undefined, options]);
+			},
+
+			/**
+			 * [put description]
+			 * @param  {[type]} data   [description]
+			 * @param  {[type]} endpoint [description]
+			 * @param  {Object} options Request options ({channel}). Optional.
+			 * @return {[type]}        [description]
+			 */
+			put : function(data, endpoint, options){
+				return _make_request.apply(self, ['put', endpoint, data, options]);
+			},
+
+			/**
+			 * [post description]
+			 * @param  {[type]} data   [description]
+			 * @param  {[type]} endpoint [description]
+			 * @param  {Object} options Request options ({channel}). Optional.
+			 * @return {[type]}        [description]
+			 */
+			post : function(data, endpoint, options){
+				return _make_request.apply(self, ['post', endpoint, data, options]);
+			},
+
+			/**
+			 * [delete description]
+			 * @param  {[type]} data   [description]
+			 * @param  {[type]} params [description]
+			 * @param  {Object} options Request options ({channel}). Optional.
+			 * @return {[type]}        [description]
+			 */
+			delete : function(data, params, options){
+				return _make_request.apply(self, ['delete', params, undefined, options]);
+			}
+
+		};
+
+	};
+
+
+	/**
+	 * Provide an API toolset on the CD_Model prototype
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Returns native Promises when the promise setting is 'native'.
+	 * @since  1.0.0 Introduced.
+	 *
+	 * @return {Object} {get, put, post, delete}
+	 */
+	CD_Model.prototype.api = function(){
+
+		var mc    = this,
+			tools = request_api.call(mc),
+			api   = {};
+
+		$.each(tools, function(method, send){
+			api[method] = function(){
+				return settle(mc, send.apply(tools, arguments));
+			};
+		});
+
+		return api;
+	};
+
+	/**
+	 * Gets the API toolset a model uses for its own requests, which always returns jQuery promises.
+	 * When a subclass overrides api(), that's what's used, with any native Promises it returns
+	 * turned back into jQuery promises.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The model.
+	 *
+	 * @return {Object} {get, put, post, delete}
+	 */
+	var internal_api = function(mc)
+	{
+		var api, tools;
+
+		if( mc.api === CD_Model.prototype.api )
+		{
+			return request_api.call(mc);
+		}
+
+		api   = mc.api();
+		tools = {};
+
+		$.each(api, function(method, send){
+			if( typeof send === 'function' )
+			{
+				tools[method] = function(){
+					return unsettle(send.apply(api, arguments));
+				};
+			}
+		});
+
+		return tools;
+	};
+
+	/**
+	 * Turns a native request Promise back into a jQuery promise, resolved and rejected like one
+	 * from request_api. The XHR isn't passed on when it resolves, as native Promises don't keep it.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} request  The request promise.
+	 *
+	 * @return {Object} jQuery Promise, with an abort() method.
+	 */
+	var unsettle = function(request)
+	{
+		var deferred, promise;
+
+		if( ! request || typeof request.done === 'function' )
+		{
+			return request;
+		}
+
+		deferred = $.Deferred();
+		promise  = deferred.promise();
+
+		request.then(function(response){
+			deferred.resolve(response, 'success', null);
+		}, function(error){
+			if( error instanceof CD_Model.Request_Error && error.text_status )
+			{
+				deferred.reject(error.xhr, error.text_status, error.message);
+			}
+			else
+			{
+				deferred.reject(error instanceof CD_Model.Request_Error && error.errors ? error.errors : error);
+			}
+		});
+
+		promise.abort = function(){
+
+			if( typeof request.abort === 'function' )
+			{
+				request.abort();
+			}
+
+			return promise;
+		};
+
+		return promise;
+	};
+
+	/**
+	 * Retrieves a record from internal properties, by ID.
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 *
+	 * @since 1.0.0 Introduced
+	 *
+	 * @param  {Integer} id
+	 * @return {Object}    	Located Object, or null
+	 */
+	CD_Model.prototype.get = function(id) {
+
+		for(var prop in this)
+		{
+			if( this.hasOwnProperty(prop) )
+			{
+				if( typeof this[prop].id !== 'undefined' && parseInt(this[prop].id) === parseInt(id) )
+				{
+					return this[prop];
+				}
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Creates a new Result object that belongs to this collection, without
+	 * adding it to the collection. Calling save() on the result will POST it,
+	 * and add it to the collection once the server has accepted it.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} properties  Properties of the new Result object.
+	 *
+	 * @return {CD_Result}
+	 */
+	CD_Model.prototype.build = function(properties)
+	{
+		return make_result(this, properties);
+	};
+
+	/**
+	 * Allow the ability to change parameters without actually
+	 * triggering a new request to go off.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.4.0 Introduced
+	 *
+	 * @param  {String}  param      The filed to add the filter for.
+	 * @param  {String}  value     The value to filter on. If empty, we'll remove filters for this field.
+	 *
+	 * @return void
+	 */
+	CD_Model.prototype.param = function(param, value)
+	{
+		var mc = this;
+
+		if( typeof param !== 'undefined' && value )
+		{
+			mc.settings.params[param] = value;
+		}
+		else if( typeof param !== 'undefined')
+		{
+			delete mc.settings.params[param];
+		}
+	};
+
+	/**
+	 * Adds a field and value to filter on
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Added load options, and filtering of local collections.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param  {String}  field      The filed to add the filter for.
+	 * @param  {String} filter     The value to filter on. If empty, we'll remove filters for this field.
+	 * @param  {Object}  options    Load options, e.g. {strategy : 'replace'}. Optional.
+	 *
+	 * @return {Array} An array of the sorted set of objects for this collection.
+	 */
+	CD_Model.prototype.filter = function(field, filter, options)
+	{
+		var mc = this;
+
+		// Local collections need to know which params are filters.
+		if( ! mc._filters )
+		{
+			hide(mc, '_filters', {});
+		}
+
+		if( typeof field !== 'undefined' && filter )
+		{
+			mc.settings.params[field] = filter;
+			mc._filters[field] = true;
+			reset_position(mc);
+		}
+		else if( typeof field !== 'undefined')
+		{
+			delete mc.settings.params[field];
+			delete mc._filters[field];
+			reset_position(mc);
+		}
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise.
+		return settle(mc, load(mc, mc.settings.params, undefined, options));
+	};
+
+	/**
+	 * Add sorting to the current query set.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Added load options.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param {String} sort
+	 * @param {Object} options    Load options, e.g. {strategy : 'replace'}. Optional.
+	 *
+	 * @return {Array} An array of the sorted set of objects for this collection.
+	 */
+	CD_Model.prototype.sort = function(sort, options) {
+
+		var mc = this;
+
+		if( typeof sort !== 'undefined' )
+		{
+			mc.settings.params.sort = sort;
+			reset_position(mc);
+		}
+		else
+		{
+			delete mc.settings.params.sort;
+		}
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise.
+		return settle(mc, load(mc, mc.settings.params, undefined, options));
+	};
+
+	/**
+	 * Retrieves a matching set of records for the search.
+	 *
+	 * Searches can be debounced with the search_debounce setting, or the debounce option (in ms),
+	 * so that only the last of a quick run of searches (e.g. one per keystroke) is sent. Debounced
+	 * searches are sent on the 'list' channel (or the given channel), so they abort stale requests.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Added debouncing.
+	 * @since  1.5.0 Added load options.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param  {String}  search     The search value to send through.
+	 * @param  {Object}  options    Load options, e.g. {strategy : 'replace', debounce : 300}. Optional.
+	 *
+	 * @return {Array} An array of the sorted set of objects for this collection.
+	 */
+	CD_Model.prototype.search = function(search, options){
+
+		var mc    = this,
+			delay = ( options && typeof options.debounce !== 'undefined' ) ? options.debounce : mc.settings.search_debounce;
+
+		if( typeof search !== 'undefined' )
+		{
+			mc.settings.params.q = search;
+			reset_position(mc);
+		}
+		else
+		{
+			delete mc.settings.params.q;
+		}
+
+		if( delay > 0 )
+		{
+			return settle(mc, debounce_load(mc, delay, $.extend({ channel : 'list' }, options)));
+		}
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise.
+		return settle(mc, load(mc, mc.settings.params, undefined, options));
+	};
+
+	/**
+	 * Gets the pagination state of the collection, based on the current parameters
+	 * and the metadata of the last response.
+	 *
+	 * The total number of records is read from the `pagination.total` attribute path of
+	 * the response, or the `pagination.header` response header. When the total is unknown,
+	 * we assume there are more records as long as the last page was full.
+	 *
+	 * In cursor and link modes, we only know whether there's a next or previous page.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @return {Object} {page, pages, total, limit, offset, has_next, has_prev}. Page, pages and total are null when unknown.
+	 */
+	CD_Model.prototype.pagination = function()
+	{
+		var mc     = this,
+			mode   = pagination_settings(mc).mode,
+			meta   = mc._pagination || null,
+			limit  = +mc.settings.params.limit || 0,
+			offset = +mc.settings.params.offset || 0,
+			total  = meta ? meta.total : null,
+			has_next;
+
+		if( mode === 'cursor' || mode === 'link' )
+		{
+			return {
+				page     : null,
+				pages    : null,
+				total    : total,
+				limit    : limit,
+				offset   : null,
+				has_next : meta ? !! ( mode === 'cursor' ? meta.next_cursor : meta.links.next ) : false,
+				has_prev : meta ? !! ( mode === 'cursor' ? meta.prev_cursor : meta.links.prev ) : false
+			};
+		}
+
+		if( ! limit )
+		{
+			has_next = false;
+		}
+		else if( total !== null )
+		{
+			has_next = offset + limit < total;
+		}
+		else
+		{
+			has_next = meta ? meta.count >= limit : true;
+		}
+
+		return {
+			page     : limit ? Math.floor(offset / limit) + 1 : 1,
+			pages    : ( total !== null && limit ) ? Math.max(1, Math.ceil(total / limit)) : null,
+			total    : total,
+			limit    : limit,
+			offset   : offset,
+			has_next : has_next,
+			has_prev : limit > 0 && offset > 0
+		};
+	};
+
+	/**
+	 * Retrieves the 'next' set of records.
+	 *
+	 * @author Sam Sehnert <sam@teamdf.com>
+	 *
+	 * @since  1.5.0  Rejects when there are no more records. Follows cursors and links in those pagination modes. Added load options.
+	 * @since  1.0.0  Introduced
+	 *
+	 * @param  {int}   count       The number of items to get
+	 * @param  {Object} options    Load options, e.g. {strategy : 'replace'}. Optional.
+	 *
+	 * @return {Array} An array of the next set of objects for this collection.
+	 */
+	CD_Model.prototype.next = function( count, options ){
+
+		var mc = this;
+
+		// Allow the options to be given without a count.
+		if( $.isPlainObject(count) )
+		{
+			options = count;
+			count   = undefined;
+		}
+
+		if( pagination_settings(mc).mode !== 'offset' )
+		{
+			return settle(mc, follow(mc, 'next', count, options));
+		}
+
+		if( ! ('limit' in mc.settings.params))
+		{
+			return settle(mc, ($.Deferred()).reject('No limit defined in parameters'));
+		}
+
+		if( ! mc.pagination().has_next )
+		{
+			return settle(mc, ($.Deferred()).reject('No more records'));
+		}
+
+		if( typeof count !== 'undefined' )
+		{
+			mc.settings.params.limit = +count;
+		}
+
+		if( ! ('offset' in mc.settings.params))
+		{
+			mc.settings.params.offset = 0;
+		}
+
+		// Add the limit to the offset.
+		mc.settings.params.offset = Number(mc.settings.params.offset) + Number(mc.settings.params.limit);
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise.
+		return settle(mc, load(mc, mc.settings.params, undefined, options));
+	};
+
+	/**
+	 * Retrieves the given page of records.
+	 *
+	 * @author Sam Sehnert <sam@teamdf.com>
+	 *
+	 * @since  1.5.0  Rejects pages that are out of range. Added load options.
+	 * @since  1.3.0  Introduced
+	 *
+	 * @param  {int}   page        The page to get, starting from 1.
+	 * @param  {int}   count       The number of items to get.
+	 * @param  {Object} options    Load options, e.g. {strategy : 'replace'}. Optional.
+	 *
+	 * @return {Array} An array of the given page of objects for this collection.
+	 */
+	CD_Model.prototype.page = function( page, count, options ){
+
+		var mc = this,
+			limit, total;
+
+		// Allow the options to be given without a count.
+		if( $.isPlainObject(count) )
+		{
+			options = count;
+			count   = undefined;
+		}
+
+		if( pagination_settings(mc).mode !== 'offset' )
+		{
+			return settle(mc, ($.Deferred()).reject('Pages are only available in the offset pagination mode'));
+		}
+
+		if( ! ('limit' in mc.settings.params))
+		{
+			return settle(mc, ($.Deferred()).reject('No limit defined in parameters'));
+		}
+
+		page  = +page;
+		limit = typeof count !== 'undefined' ? +count : +mc.settings.params.limit;
+		total = mc.pagination().total;
+
+		if( isNaN(page) || page < 1 || ( total !== null && page > Math.max(1, Math.ceil(total / limit)) ) )
+		{
+			return settle(mc, ($.Deferred()).reject('Page out of range'));
+		}
+
+		mc.settings.params.limit = limit;
+
+		// Add the limit to the offset.
+		mc.settings.params.offset = limit * (page-1);
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise.
+		return settle(mc, load(mc, mc.settings.params, undefined, options));
+	};
+
+	/**
+	 * Retrieves the 'previous' set of records.
+	 *
+	 * @author Sam Sehnert <sam@teamdf.com>
+	 *
+	 * @since  1.5.0  Rejects when already on the first page, and never goes below an offset of 0. Added load options.
+	 *                Follows cursors and links in those pagination modes.
+	 * @since  1.3.0  Introduced
+	 *
+	 * @param  {int}   count       The number of items to get.
+	 * @param  {Object} options    Load options, e.g. {strategy : 'replace'}. Optional.
+	 *
+	 * @return {Array} An array of the previous set of objects for this collection.
+	 */
+	CD_Model.prototype.prev = function( count, options ){
+
+		var mc = this;
+
+		// Allow the options to be given without a count.
+		if( $.isPlainObject(count) )
+		{
+			options = count;
+			count   = undefined;
+		}
+
+		if( pagination_settings(mc).mode !== 'offset' )
+		{
+			return settle(mc, follow(mc, 'prev', count, options));
+		}
+
+		if( ! ('limit' in mc.settings.params))
+		{
+			return settle(mc, ($.Deferred()).reject('No limit defined in parameters'));
+		}
+
+		if( ! mc.pagination().has_prev )
+		{
+			return settle(mc, ($.Deferred()).reject('Already on the first page'));
+		}
+
+		if( typeof count !== 'undefined' )
+		{
+			mc.settings.params.limit = +count;
+		}
+
+		// Remove the limit from the offset.
+		mc.settings.params.offset = Math.max(0, mc.settings.params.offset - mc.settings.params.limit);
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise.
+		return settle(mc, load(mc, mc.settings.params, undefined, options));
+	};
+
+	/**
+	 * Parses the URL that this model will use.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Params are written by the shared query string serializer.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param  {object}  params     A set of parameters to add to the request.
+	 * @param  {string}  segments   A URL segment/prefix we'd add to the path.
+	 *
+	 * @return string The full URL that we'd make a request to for this model.
+	 */
+	CD_Model.prototype.url = function( params, segments )
+	{
+		var mc           = this,
+			query_string = '';
+
+		if( typeof params === 'undefined' )
+		{
+			params = $.extend({},mc.settings.params);
+		}
+
+		if( $.isPlainObject(params) )
+		{
+			query_string = serialize_query(params, mc.settings.query);
+			query_string = query_string === '' ? '' : '?' + query_string;
+		}
+		else if( params )
+		{
+			query_string = params;
+		}
+
+		if( segments )
+		{
+			query_string = segments + '/' + query_string;
+		}
+
+		return this.settings.endpoint.replace(/\/+$/, '') + '/' + query_string;
+	};
+
+	/**
+	 * Get the URL to the 'next' set in the API.
+	 * Generates the url by incrementing the offset parameter.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Follows cursors and links in those pagination modes, or returns null on the last page.
+	 * @since  1.5.0 Handles a missing offset.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param  {int}  count      Use the given limit to get the correct URL. Optional.
+	 *
+	 * @return string The URL we'd use to get the 'next' data set.
+	 */
+	CD_Model.prototype.url_next = function(count)
+	{
+		var mc 		= this,
+			params 	= $.extend({},mc.settings.params),
+			limit   = count || mc.settings.params.limit;
+
+		if( pagination_settings(mc).mode !== 'offset' )
+		{
+			return follow_url(mc, 'next', count);
+		}
+
+		if( ! limit)
+		{
+			return mc.url();
+		}
+
+		// Add the limit to the offset.
+		params.offset = (+params.offset || 0) + Number(limit);
+
+		return mc.url(params);
+	};
+
+
+	/**
+	 * Get the URL to the 'prev' set in the API.
+	 * Generates the url by incrementing the offset parameter.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Follows cursors and links in those pagination modes, or returns null on the first page.
+	 * @since  1.5.0 Never goes below an offset of 0.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param  {int}  count      Use the given limit to get the correct URL. Optional.
+	 *
+	 * @return string The URL we'd use to get the 'prev' data set.
+	 */
+	CD_Model.prototype.url_prev = function(count)
+	{
+		var mc 		= this,
+			params 	= $.extend({},mc.settings.params),
+			limit   = count || mc.settings.params.limit;
+
+		if( pagination_settings(mc).mode !== 'offset' )
+		{
+			return follow_url(mc, 'prev', count);
+		}
+
+		if( ! limit)
+		{
+			return mc.url();
+		}
+
+		// Remove the limit from the offset.
+		params.offset = Math.max(0, (+params.offset || 0) - limit);
+
+		return mc.url(params);
+	};
+
+	/**
+	 * Get the URL to the given page set in the API.
+	 * Generates the url by setting the offset parameter.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Uses the given count, so it can be used to render full pagers.
+	 * @since  1.3.0 Introduced
+	 *
+	 * @param  {int}  page      The page we want to be on.
+	 * @param  {int}  count     Use the given limit to get the correct URL. Optional.
+	 *
+	 * @return string The URL we'd use to get the given page.
+	 */
+	CD_Model.prototype.url_page = function(page, count)
+	{
+		var mc 		= this,
+			params 	= $.extend({},mc.settings.params),
+			limit   = count || mc.settings.params.limit;
+
+		if( ! limit)
+		{
+			return mc.url();
+		}
+
+		// Set the offset for the page, and the limit we used to get there.
+		params.limit  = +limit;
+		params.offset = limit * (page-1);
+
+		return mc.url(params);
+	};
+
+	/**
+	 * Replaces the current set of Result objects, with a new set via an API call
+	 *
+	 * @author 	Josh Smith <josh@customd.com>
+	 * @since 	1.5.0 Local collections re-load their whole dataset, and the cache is skipped.
+	 * @since 	1.0.0 Introduced
+	 *
+	 * @param {object} params
+	 *
+	 * @return {Object} API Request Promise
+	 */
+	CD_Model.prototype.replace = function( params ){
+
+		var mc = this;
+
+		// Set new parameters
+		if( params )
+		{
+			mc.settings.params = params;
+		}
+
+		// Local collections re-load their whole dataset.
+		delete mc._records;
+
+		// Fire off a request to get collection data, then call the parent object
+		// and save this AJAX request as the promise. Always ask the server, rather than the cache.
+		return settle(mc, load(mc, mc.settings.params, undefined, { strategy : 'replace', refresh : true }));
+	};
+
+	/**
+	 * Safetly empties the Model Collection array
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 * @since  1.5.0 Only removes the results, so event listeners and request state survive. Fires a 'reset' event.
+	 * @since  1.0.0 Introduced
+	 *
+	 * @return this
+	 */
+	CD_Model.prototype.empty = function(){
+
+		for (var i = 0; i < this.length; i++)
+		{
+			delete this[i];
+		}
+
+		this.length = 0;
+
+		this.emit('reset');
+
+		return this;
+	};
+
+	/**
+	 * Aborts the latest request on a request channel, or on every channel.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {String} channel  The channel, e.g. 'list'. Optional.
+	 *
+	 * @return this
+	 */
+	CD_Model.prototype.abort = function(channel){
+
+		var requests = this._requests;
+
+		for(var name in requests)
+		{
+			if( requests.hasOwnProperty(name) && ( typeof channel === 'undefined' || name === channel ) && requests[name].state() === 'pending' )
+			{
+				requests[name].abort();
+			}
+		}
+
+		return this;
+	};
+
+	/**
+	 * Schedules the next poll of a collection, after the current poll delay.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return void
+	 */
+	var schedule_poll = function(mc)
+	{
+		var polling = mc._polling;
+
+		clearTimeout(polling.timer);
+
+		polling.timer = setTimeout(function(){
+			polling.timer = null;
+			poll_once(mc);
+		}, polling.delay);
+	};
+
+	/**
+	 * Re-fetches the current query of a collection, and merges the records into it by ID. Polls
+	 * that fail back off, by multiplying the delay before the next poll, up to the max_interval.
+	 * While the page is hidden, polls wait until it's visible again.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return void
+	 */
+	var poll_once = function(mc)
+	{
+		var polling = mc._polling,
+			options = polling.options;
+
+		if( options.pause_hidden && document.hidden )
+		{
+			polling.paused = true;
+			return;
+		}
+
+		load(mc, mc.settings.params, undefined, { strategy : 'merge', remove : options.remove, channel : 'poll', history : false, refresh : true })
+			.done(function(){
+				polling.delay = polling.interval;
+			})
+			.fail(function(xhr, text_status){
+
+				// Polls aborted by another load aren't errors.
+				if( text_status !== 'abort' )
+				{
+					polling.delay = Math.min(polling.delay * options.backoff, Math.max(options.max_interval, polling.interval));
+				}
+			})
+			.always(function(){
+
+				// Unless polling was stopped, or started again, while the request was in flight.
+				if( mc._polling === polling )
+				{
+					schedule_poll(mc);
+				}
+			});
+	};
+
+	/**
+	 * Re-fetches the current query of this collection every interval, in the background, and merges
+	 * the records into it by ID. Only records that were added, removed or changed fire events.
+	 *
+	 * Options:
+	 *  - remove       : Remove results that are no longer in the query. Defaults to true.
+	 *  - pause_hidden : Wait while the page is hidden, and poll as soon as it's visible again. Defaults to true.
+	 *  - backoff      : What to multiply the delay by after each failed poll. Defaults to 2.
+	 *  - max_interval : The longest delay to back off to, in ms. Defaults to 10 times the interval.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {int}    interval  The delay between polls, in ms.
+	 * @param  {Object} options   Poll options. Optional.
+	 *
+	 * @return this
+	 */
+	CD_Model.prototype.poll = function(interval, options){
+
+		var mc = this,
+			polling;
+
+		mc.stop_polling();
+
+		options = $.extend({ remove : true, pause_hidden : true, backoff : 2, max_interval : interval * 10 }, options);
+
+		polling = hide(mc, '_polling', { interval : interval, delay : interval, options : options, timer : null, paused : false });
+
+		polling.visibility = function(){
+
+			if( ! document.hidden && polling.paused )
+			{
+				polling.paused = false;
+				poll_once(mc);
+			}
+		};
+
+		$(document).on('visibilitychange', polling.visibility);
+
+		schedule_poll(mc);
+
+		return mc;
+	};
+
+	/**
+	 * Stops polling, and aborts the poll that's in flight.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @return this
+	 */
+	CD_Model.prototype.stop_polling = function(){
+
+		var polling = this._polling;
+
+		if( ! polling )
+		{
+			return this;
+		}
+
+		hide(this, '_polling', null);
+
+		clearTimeout(polling.timer);
+		$(document).off('visibilitychange', polling.visibility);
+
+		return this.abort('poll');
+	};
+
+	/**
+	 * Stops syncing the params of this collection with the URL, and re-loading them on back and forward.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @return this
+	 */
+	CD_Model.prototype.stop_history = function(){
+
+		stop_history(this);
+
+		return this;
+	};
+
+	/**
+	 * Releases this collection once it's no longer needed. Stops polling and syncing with the URL, aborts
+	 * its requests, and stops related results being looked up in it.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @return this
+	 */
+	CD_Model.prototype.dispose = function(){
+
+		var instances = this.constructor._instances || [];
+
+		for(var i = instances.length - 1; i >= 0; i--)
+		{
+			if( instances[i].deref() === this )
+			{
+				instances.splice(i, 1);
+			}
+		}
+
+		if( this._debounce )
+		{
+			clearTimeout(this._debounce.timer);
+		}
+
+		this.stop_polling();
+		this.stop_history();
+
+		return this.abort();
+	};
+
+	/**
+	 * Retrieves a record from internal properties, matched on where clause.
+	 *
+	 * Clauses can be plain values, which are loosely compared (so an ID of 5 matches '5'), or
+	 * operator objects such as {$in : [1, 2]}, {$gt : 5} or {$regex : '^sam'}. Fields can be
+	 * dotted paths into nested objects and arrays (e.g., 'owner.team.id'), and clauses can be
+	 * combined with $or and $and. See matches() for the full set of operators.
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 *
+	 * @since 1.5.0 Added query operators, dotted paths, and $or/$and combinators.
+	 * @since 1.0.0 Introduced.
+	 *
+	 * @param  {Object}  where 	An object of filters to search by
+	 * @param  {Integer} limit 	A result set limit
+	 * @return {Array}     		An arary of matched objects, or empty array.
+	 */
+	CD_Model.prototype.get_where = function(where, limit){
+
+		// No where clause? Return an empty array
+		if( typeof where !== 'object' || where === null )
+		{
+			return [];
+		}
+
+		var matched = [];
+
+		// Loop through all results in this collection
+		for(var i = 0; i < this.length; i++)
+		{
+			//
+			// If conditions were met... Include the match
+			//
+			if( this[i] && matches(this[i], where) )
+			{
+				matched.push(this[i]);
+			}
+
+			//
+			// Break main loop if limit has been reached
+			//
+			if( matched.length === limit )
+			{
+				break;
+			}
+		}
+
+		return limit === 1 ? matched[0] : matched;
+	};
+
+
+
+	/**
+	 * Match Objects based on like filters
+	 *
+	 * @author Josh Smith <josh@customd.com>
+	 *
+	 * @since 1.0.0 Introduced.
+	 *
+	 * @param  {Object} like	Object of like filters
+	 * @return {Array}   	    Array of Matched Objects
+	 */
+	CD_Model.prototype.like = function(like){
+
+		if( typeof like !== 'object' )
+		{
+			return [];
+		}
+
+		var self 	= this,
+			matched = [];
+
+		// Loop through Objects
+		for(var prop in this)
+		{
+			if( this.hasOwnProperty(prop) )
+			{
+				var match = 0;
+
+				// Loop through filters in like object
+				for(var clause in like)
+				{
+					if( like.hasOwnProperty(clause) )
+					{
+						// Create a new regular expression from the match we're after
+						var re = new RegExp(like[clause], 'gi');
+
+						// If the property exists on the object, and matches our like clause
+						if( typeof self[prop][clause] !== 'undefined' && self[prop][clause] !== null && self[prop][clause].toString().match(re) )
+						{
+							match ++;
+						}
+					}
+				}
+
+				if( match === Object.keys(like).length )
+				{
+					matched.push(this[prop]);
+				}
+			}
+		}
+
+		return matched;
+
+	};
+
+	/**
+	 * Fetches the results of every page of the current query, without loading them into the collection.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return {Object} jQuery Promise, resolved with an array of results.
+	 */
+	var fetch_all = function(mc)
+	{
+		var deferred = $.Deferred(),
+			settings = pagination_settings(mc),
+			params   = $.extend({}, mc.settings.params),
+			limit    = +params.limit || 0,
+			results  = [];
+
+		// Local collections already have every record.
+		if( mc.settings.remote === false && mc._records )
+		{
+			return deferred.resolve($.map(local_select(mc, params), function(record){
+				return make_result(mc, record);
+			})).promise();
+		}
+
+		if( settings.mode === 'cursor' )
+		{
+			delete params[settings.cursor_param];
+		}
+		else if( settings.mode === 'offset' )
+		{
+			params.offset = 0;
+		}
+
+		var fetch = function(params, endpoint)
+		{
+			internal_api(mc).get(params, endpoint)
+				.done(function(response, text_status, xhr){
+
+					var records = response ? response[mc.settings.attribute] : null,
+						count   = 0,
+						total, cursor, links;
+
+					for(var prop in records)
+					{
+						if( records && records.hasOwnProperty(prop) )
+						{
+							results.push(make_result(mc, records[prop]));
+							count++;
+						}
+					}
+
+					if( ! count )
+					{
+						return deferred.resolve(results);
+					}
+
+					if( settings.mode === 'cursor' && ( cursor = get_path(response, settings.next_cursor) ) )
+					{
+						params[settings.cursor_param] = cursor;
+						return fetch(params);
+					}
+
+					if( settings.mode === 'link' && xhr && xhr.getResponseHeader )
+					{
+						links = parse_links(xhr.getResponseHeader('Link'), mc.settings.endpoint);
+
+						if( links.next )
+						{
+							return fetch(null, links.next);
+						}
+					}
+
+					if( settings.mode === 'offset' && limit && count >= limit )
+					{
+						total = settings.total ? get_path(response, settings.total) : undefined;
+						total = ( typeof total === 'undefined' || total === null ) && xhr && xhr.getResponseHeader ? xhr.getResponseHeader(settings.header) : total;
+
+						if( total === null || typeof total === 'undefined' || total === '' || params.offset + limit < Number(total) )
+						{
+							params.offset += limit;
+							return fetch(params);
+						}
+					}
+
+					deferred.resolve(results);
+				})
+				.fail(function(){
+					deferred.rejectWith(this, arguments);
+				});
+		};
+
+		fetch(params);
+
+		return deferred.promise();
+	};
+
+	/**
+	 * Gets the value at a dotted path within a result, for exporting. When the path runs
+	 * through an array, the value is found in each of its elements.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed} value  The result (or value) to look in.
+	 * @param  {Array} path   The segments of the path.
+	 *
+	 * @return {Mixed}
+	 */
+	var export_path = function(value, path)
+	{
+		if( ! path.length )
+		{
+			return value;
+		}
+
+		if( $.isArray(value) && ! /^\d+$/.test(path[0]) )
+		{
+			return $.map(value, function(item){
+				return [ export_path(item, path) ];
+			});
+		}
+
+		if( value === null || typeof value !== 'object' )
+		{
+			return undefined;
+		}
+
+		return export_path(value[path[0]], path.slice(1));
+	};
+
+	/**
+	 * Formats a value for a CSV cell, quoting it if needed (RFC 4180).
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Mixed}  value    The value.
+	 * @param  {Object} options  Export options ({delimiter, date_format}).
+	 *
+	 * @return {String}
+	 */
+	var csv_cell = function(value, options)
+	{
+		var is_scalar = function(item)
+		{
+			return item === null || typeof item !== 'object' || item instanceof Date;
+		};
+
+		var text = function(item)
+		{
+			if( typeof item === 'undefined' || item === null )
+			{
+				return '';
+			}
+
+			if( item instanceof Date )
+			{
+				return isNaN(item.getTime()) ? '' : ( options.date_format ? options.date_format(item) : item.toISOString() );
+			}
+
+			if( typeof item === 'object' )
+			{
+				return JSON.stringify(plain_value(item));
+			}
+
+			return String(item);
+		};
+
+		// Lists of simple values read better without the JSON.
+		if( $.isArray(value) && $.grep(value, is_scalar).length === value.length )
+		{
+			value = $.map(value, function(item){
+				return [ text(item) ];
+			}).join(', ');
+		}
+		else
+		{
+			value = text(value);
+		}
+
+		if( value.indexOf('"') !== -1 || value.indexOf(options.delimiter) !== -1 || /[\r\n]/.test(value) )
+		{
+			value = '"' + value.replace(/"/g, '""') + '"';
+		}
+
+		return value;
+	};
+
+	/**
+	 * Works out the fields to export. Unless they're given, every field of the results is exported.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Array} results  The results to export.
+	 * @param  {Array} fields   The fields (or dotted paths) to export. Optional.
+	 *
+	 * @return {Array}
+	 */
+	var export_fields = function(results, fields)
+	{
+		var seen = {};
+
+		if( fields && fields.length )
+		{
+			return fields;
+		}
+
+		fields = [];
+
+		for(var i = 0; i < results.length; i++)
+		{
+			for(var prop in results[i].toJSON())
+			{
+				if( ! seen.hasOwnProperty(prop) )
+				{
+					seen[prop] = true;
+					fields.push(prop);
+				}
+			}
+		}
+
+		return fields;
+	};
+
+	/**
+	 * Formats results as CSV, or JSON.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Array}  results  The results to export.
+	 * @param  {String} format   csv|json
+	 * @param  {Object} options  Export options.
+	 *
+	 * @return {String}
+	 */
+	var format_export = function(results, format, options)
+	{
+		var fields  = export_fields(results, options.fields),
+			headers = options.headers,
+			rows    = [],
+			row;
+
+		if( format === 'json' )
+		{
+			return JSON.stringify( options.fields ? $.map(results, function(result){
+
+				var record = {};
+
+				$.each(fields, function(i, field){
+					record[field] = plain_value(export_path(result, String(field).split('.')));
+				});
+
+				return record;
+
+			}) : $.map(results, function(result){
+				return result.toJSON();
+			}) );
+		}
+
+		if( headers !== false )
+		{
+			rows.push($.map(fields, function(field, i){
+				return csv_cell( $.isArray(headers) ? headers[i] : ( $.isPlainObject(headers) && headers.hasOwnProperty(field) ? headers[field] : field ), options);
+			}).join(options.delimiter));
+		}
+
+		for(var i = 0; i < results.length; i++)
+		{
+			row = [];
+
+			for(var f = 0; f < fields.length; f++)
+			{
+				row.push(csv_cell(export_path(results[i], String(fields[f]).split('.')), options));
+			}
+
+			rows.push(row.join(options.delimiter));
+		}
+
+		return rows.join('\r\n');
+	};
+
+	/**
+	 * Outputs the results in this collection as plain objects.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced.
+	 *
+	 * @return {Array} An array of plain objects.
+	 */
+	CD_Model.prototype.toArray = function(){
+
+		var records = [];
+
+		for(var i = 0; i < this.length; i++)
+		{
+			records.push(this[i] instanceof CD_Result ? this[i].toJSON() : this[i]);
+		}
+
+		return records;
+	};
+
+	/**
+	 * Outputs the results in this collection as plain objects, for JSON.stringify().
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced.
+	 *
+	 * @return {Array} An array of plain objects.
+	 */
+	CD_Model.prototype.toJSON = function(){
+
+		return this.toArray();
+	};
+
+	/**
+	 * Exports the results in this collection, in the order they're in, as CSV or JSON.
+	 *
+	 * Options:
+	 *  - fields      : The fields (or dotted paths, e.g. 'team.name') to export. Defaults to every field.
+	 *  - headers     : false to leave out the header row, or the header labels, as an array in the
+	 *                  same order as fields, or an object of field to label. Defaults to the field names.
+	 *  - delimiter   : The CSV delimiter. Defaults to ','.
+	 *  - date_format : A function that formats dates for CSV. Defaults to ISO 8601.
+	 *  - all_pages   : Export every page of the current query, instead of just the loaded results.
+	 *                  The pages are fetched separately, so the collection isn't changed.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced.
+	 *
+	 * @param  {String} format   csv|json
+	 * @param  {Object} options  Export options. Optional.
+	 *
+	 * @return {Object} Promise, resolved with the exported string.
+	 */
+	CD_Model.prototype.export = function(format, options){
+
+		var mc      = this,
+			results = [];
+
+		options = $.extend({ fields : null, headers : true, delimiter : ',', date_format : null, all_pages : false }, options);
+
+		if( format !== 'csv' && format !== 'json' )
+		{
+			return settle(mc, ($.Deferred()).reject('Unknown export format "' + format + '"'));
+		}
+
+		if( options.all_pages )
+		{
+			return settle(mc, fetch_all(mc).then(function(all){
+				return format_export(all, format, options);
+			}));
+		}
+
+		for(var i = 0; i < mc.length; i++)
+		{
+			results.push(mc[i]);
+		}
+
+		return settle(mc, $.Deferred().resolve(format_export(results, format, options)).promise());
+	};
+
+	/**
+	 * Gets the bulk settings of a model, filled out with the defaults.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc  The collection.
+	 *
+	 * @return {Object}
+	 */
+	var bulk_settings = function(mc)
+	{
+		return $.extend({}, Bulk_defaults, mc.settings.bulk);
+	};
+
+	/**
+	 * Sends a request for each result, with no more than the given number in flight at once.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Array}    results      The results.
+	 * @param  {Integer}  concurrency  The most requests to have in flight at once.
+	 * @param  {Function} send         Sends the request for a result, and returns its promise.
+	 *
+	 * @return {Object} jQuery Promise, resolved with {succeeded, failed}, in the order the results were given.
+	 */
+	var fan_out = function(results, concurrency, send)
+	{
+		var deferred = $.Deferred(),
+			outcomes = [],
+			started  = 0,
+			finished = 0;
+
+		var settle_all = function()
+		{
+			var summary = { succeeded : [], failed : [] };
+
+			$.each(outcomes, function(i, outcome){
+				if( outcome.error )
+				{
+					summary.failed.push(outcome);
+				}
+				else
+				{
+					summary.succeeded.push(outcome.result);
+				}
+			});
+
+			deferred.resolve(summary);
+		};
+
+		var start = function()
+		{
+			var index  = started++,
+				result = results[index];
+
+			var finish = function(error)
+			{
+				outcomes[index] = error ? { result : result, error : error } : { result : result };
+
+				if( ++finished === results.length )
+				{
+					settle_all();
+				}
+				else if( started < results.length )
+				{
+					start();
+				}
+			};
+
+			send(result).then(function(){
+				finish(null);
+			}, function(){
+				finish(to_error(arguments));
+			});
+		};
+
+		if( ! results.length )
+		{
+			settle_all();
+		}
+
+		while( started < Math.min(results.length, Math.max(concurrency, 1) || 1) )
+		{
+			start();
+		}
+
+		return deferred.promise();
+	};
+
+	/**
+	 * Sends the results to the bulk endpoint of a collection in one request. The response is
+	 * expected to have the saved records under the attribute setting, in the same order.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The collection.
+	 * @param  {String}   method   put|post|delete
+	 * @param  {Array}    results  The results.
+	 * @param  {Object}   summary  The {succeeded, failed} summary to add the results to.
+	 * @param  {Function} done     Called with each result, and the record sent back for it, once the request has succeeded. Optional.
+	 * @param  {Function} fail     Called with each result, the error and the data sent for it if the request fails. Optional.
+	 * @param  {Function} data_of  Gets the data to send for a result. Defaults to all of its fields. Optional.
+	 *
+	 * @return {Object} jQuery Promise, resolved with the summary, even if a handler throws.
+	 */
+	var bulk_send = function(mc, method, results, summary, done, fail, data_of)
+	{
+		var deferred  = $.Deferred(),
+			endpoint  = bulk_settings(mc).endpoint,
+			attribute = mc.settings.attribute,
+			data      = {},
+			request;
+
+		if( ! results.length )
+		{
+			return deferred.resolve(summary).promise();
+		}
+
+		// DELETE requests don't have a body, so the IDs go in the query string.
+		if( method === 'delete' )
+		{
+			request = internal_api(mc).delete(null, endpoint + '?' + serialize_query({ ids : $.map(results, function(result){ return result.id; }) }, mc.settings.query));
+		}
+		else
+		{
+			data[attribute] = $.map(results, function(result){
+
+				var record = data_of ? data_of(result) : save_data(result, false);
+
+				// The ID says which record the changes are for.
+				if( ! result.is_new() )
+				{
+					record.id = result.id;
+				}
+
+				return [record];
+			});
+
+			request = internal_api(mc)[method](data, endpoint);
+		}
+
+		request.then(function(response){
+
+			var records = response ? response[attribute] : null;
+
+			$.each(results, function(i, result){
+
+				var record = {},
+					synced = $.isArray(records) && $.isPlainObject(records[i]) ? records[i] : undefined;
+
+				// A handler that throws (e.g. on the 'change' event) fails its result, rather than the summary.
+				try
+				{
+					if( synced )
+					{
+						record[attribute] = synced;
+						sync_result(result, record);
+					}
+
+					if( done )
+					{
+						done(result, synced);
+					}
+				}
+				catch(error)
+				{
+					summary.failed.push({ result : result, error : to_error([error]) });
+					return;
+				}
+
+				summary.succeeded.push(result);
+			});
+
+			deferred.resolve(summary);
+
+		}, function(){
+
+			var error = to_error(arguments);
+
+			$.each(results, function(i, result){
+
+				// The result has failed either way, with the error from the request.
+				try
+				{
+					if( fail )
+					{
+						fail(result, error, data[attribute] ? data[attribute][i] : undefined);
+					}
+				}
+				catch(error) {}
+
+				summary.failed.push({ result : result, error : error });
+			});
+
+			deferred.resolve(summary);
+		});
+
+		return deferred.promise();
+	};
+
+	/**
+	 * Saves several results, with requests to the bulk endpoint of a collection, or a request for
+	 * each one with save() if it doesn't have one. New results are created with one POST request,
+	 * and existing results updated with one PUT request.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc       The collection.
+	 * @param  {Array}    results  The results to save.
+	 * @param  {Object}   options  Save options ({changed_only, validate, optimistic}).
+	 *
+	 * @return {Object} jQuery Promise, resolved with {succeeded, failed}.
+	 */
+	var save_results = function(mc, results, options)
+	{
+		var settings = bulk_settings(mc),
+			summary  = { succeeded : [], failed : [] },
+			created  = [],
+			updated  = [];
+
+		// Newly created results join the collection once the server has accepted them.
+		var done = function(result)
+		{
+			if( index_of(mc, result) === -1 )
+			{
+				mc.push(result);
+			}
+		};
+
+		var fail = function(is_new)
+		{
+			return function(result, error, sent){
+				if( options.optimistic )
+				{
+					rollback_save(mc, result, is_new, error, sent);
+				}
+			};
+		};
+
+		if( ! settings.endpoint )
+		{
+			return fan_out(results, settings.concurrency, function(result){
+				return result.save(options);
+			});
+		}
+
+		// Results that aren't valid aren't sent, like with save().
+		$.each(results, function(i, result){
+
+			var errors = options.validate ? result.validate() : {};
+
+			if( ! $.isEmptyObject(errors) )
+			{
+				mc.emit('invalid', result, errors);
+				summary.failed.push({ result : result, error : to_error([errors]) });
+				return;
+			}
+
+			( result.is_new() ? created : updated ).push(result);
+		});
+
+		if( options.optimistic )
+		{
+			$.each(created, function(i, result){
+				done(result);
+			});
+		}
+
+		var data_of = function(result)
+		{
+			return save_data(result, options.changed_only);
+		};
+
+		return $.when(
+			bulk_send(mc, 'post', created, summary, done, fail(true), data_of),
+			bulk_send(mc, 'put', updated, summary, done, fail(false), data_of)
+		).then(function(){
+			return summary;
+		});
+	};
+
+	/**
+	 * Saves several results at once. With a bulk endpoint, new results are sent in one POST request,
+	 * and existing ones in one PUT request. Otherwise each one is saved with save(), no more than the
+	 * bulk concurrency at a time.
+	 *
+	 * The promise always resolves, with the results that saved, and the ones that didn't along
+	 * with the Error each one failed with: {succeeded : [result], failed : [{result, error}]}.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced.
+	 *
+	 * @param  {Array}  results  The results to save. Defaults to the new and changed results in the collection.
+	 * @param  {Object} options  Save options ({changed_only, validate, optimistic}). Optional.
+	 *
+	 * @return {Object} API Request Promise
+	 */
+	CD_Model.prototype.save_all = function(results, options){
+
+		var mc = this;
+
+		if( ! results )
+		{
+			results = [];
+
+			for(var i = 0; i < mc.length; i++)
+			{
+				if( mc[i] instanceof CD_Result && ( mc[i].is_new() || mc[i].is_dirty() ) )
+				{
+					results.push(mc[i]);
+				}
+			}
+		}
+
+		return settle(mc, save_results(mc, results, $.extend({ changed_only : false, validate : true, optimistic : mc.settings.optimistic }, options)));
+	};
+
+	/**
+	 * Saves the same changes to every result that matches a where clause, sending the ID and just the
+	 * changed fields of each one. With a bulk endpoint, they're sent in one PUT request. Otherwise each
+	 * one is sent in its own request. The changes are made to each result once it has saved, or straight
+	 * away with the optimistic option, in which case they're rolled back if it fails to save.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced.
+	 *
+	 * @param  {Object} where    The where clause, as for get_where().
+	 * @param  {Object} changes  The properties to set.
+	 * @param  {Object} options  Save options ({validate, optimistic}). Optional.
+	 *
+	 * @return {Object} API Request Promise, resolved with {succeeded, failed}, as for save_all().
+	 */
+	CD_Model.prototype.update_where = function(where, changes, options){
+
+		var mc       = this,
+			results  = mc.get_where(where),
+			settings = bulk_settings(mc),
+			invalid  = [],
+			valid    = [],
+			previews = [],
+			request;
+
+		options = $.extend({ validate : true, optimistic : mc.settings.optimistic }, options);
+
+		// Validate each result as it would be with the changes, without changing it yet.
+		$.each(results, function(i, result){
+
+			var preview = $.extend(Object.create(result), cast_properties(result, changes)),
+				errors  = options.validate ? result.validate.call(preview) : {};
+
+			if( ! $.isEmptyObject(errors) )
+			{
+				mc.emit('invalid', result, errors);
+				invalid.push({ result : result, error : to_error([errors]) });
+				return;
+			}
+
+			valid.push(result);
+			previews.push(preview);
+		});
+
+		// The preview only has the changed fields of its own.
+		var data_of = function(result)
+		{
+			return previews[$.inArray(result, valid)].toJSON();
+		};
+
+		// Makes the changes to a result that saved, along with anything else the server sent back.
+		var apply = function(result, record)
+		{
+			var response = {};
+
+			response[mc.settings.attribute] = $.extend({}, changes, $.isPlainObject(record) ? record : {});
+
+			sync_result(result, response);
+		};
+
+		if( options.optimistic )
+		{
+			$.each(valid, function(i, result){
+				result.set(changes);
+			});
+
+			request = save_results(mc, valid, $.extend({}, options, { changed_only : true, validate : false }));
+		}
+		else if( settings.endpoint )
+		{
+			request = bulk_send(mc, 'put', valid, { succeeded : [], failed : [] }, apply, null, data_of);
+		}
+		else
+		{
+			request = fan_out(valid, settings.concurrency, function(result){
+				return internal_api(mc).put(data_of(result), result.id).then(function(response){
+					apply(result, response ? response[mc.settings.attribute] : null);
+				});
+			});
+		}
+
+		return settle(mc, request.then(function(summary){
+
+			summary.failed = invalid.concat(summary.failed);
+
+			return summary;
+		}));
+	};
+
+	/**
+	 * Deletes every result that matches a where clause, and removes them from the collection. With
+	 * a bulk endpoint, they're deleted in one DELETE request, with their IDs in the ids param.
+	 * Otherwise each one is deleted with destroy().
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since 1.5.0 Introduced.
+	 *
+	 * @param  {Object} where    The where clause, as for get_where().
+	 * @param  {Object} options  Destroy options ({optimistic}). Optional.
+	 *
+	 * @return {Object} API Request Promise, resolved with {succeeded, failed}, as for save_all().
+	 */
+	CD_Model.prototype.destroy_where = function(where, options){
+
+		var mc        = this,
+			results   = mc.get_where(where),
+			settings  = bulk_settings(mc),
+			summary   = { succeeded : [], failed : [] },
+			saved     = [],
+			positions = [];
+
+		options = $.extend({ optimistic : mc.settings.optimistic }, options);
+
+		if( ! settings.endpoint )
+		{
+			return settle(mc, fan_out(results, settings.concurrency, function(result){
+				return result.destroy(options);
+			}));
+		}
+
+		// Nothing to delete on the server for new results, so just drop them from the collection.
+		$.each(results, function(i, result){
+			if( result.is_new() )
+			{
+				remove_result(mc, result);
+				summary.succeeded.push(result);
+			}
+			else
+			{
+				saved.push(result);
+				positions.push(position_of(mc, result));
+			}
+		});
+
+		// Results are put back in the order they were in, so they all end up where they were.
+		if( options.optimistic )
+		{
+			$.each(saved, function(i, result){
+				remove_result(mc, result);
+			});
+		}
+
+		return settle(mc, bulk_send(mc, 'delete', saved, summary, function(result){
+
+			remove_result(mc, result);
+
+		}, function(result, error){
+
+			if( options.optimistic )
+			{
+				rollback_destroy(mc, result, positions[$.inArray(result, saved)], error);
+			}
+		}));
+	};
+
+
+
+	/**
+	 * Normalises a computed property definition. Computed properties can be given as just their getter.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object|Function} definition  The computed property definition.
+	 *
+	 * @return {Object}
+	 */
+	var computed_field = function(definition)
+	{
+		return typeof definition === 'function' ? { get : definition } : definition;
+	};
+
+	/**
+	 * Defines the computed properties of a result as enumerable accessors. When a computed property
+	 * lists the fields it depends on, its value is only recomputed once one of those fields changes.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result  The result.
+	 *
+	 * @return void
+	 */
+	var define_computed = function(result)
+	{
+		var computed = result.computed || {};
+
+		hide(result, '_computed', {});
+
+		for(var name in computed)
+		{
+			if( computed.hasOwnProperty(name) )
+			{
+				// The computed value always wins over a field of the same name.
+				delete result[name];
+
+				Object.defineProperty(result, name, computed_accessor(name, computed_field(computed[name])));
+			}
+		}
+	};
 
 	/**
-	 * Provide an API toolset on the CD_Model prototype
+	 * Creates the property descriptor of a computed property.
 	 *
-	 * @author Josh Smith <josh@customd.com>
-	 * @since  1.0.0 Introduced.
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * TODO: Allow setting of request headers for AJAX request.
+	 * @since  1.5.0 Introduced
 	 *
-	 * @return {Function}
+	 * @param  {String} name   The name of the computed property.
+	 * @param  {Object} field  The normalised computed property definition.
+	 *
+	 * @return {Object}
 	 */
-	CD_Model.prototype.api = function(){
-
-		//
-		// Define properties on the API object
-		//
-		var self = this;
-
-		/**
-		 * Private API request method
-		 *
-		 * @author Josh Smith <josh@customd.com>
-		 * @since  1.4.2 Added timeout as a configurable setting.
-		 * @since  1.4.0 Added ability to discard simultaneous requests.
-		 * @since  1.0.0 Introduced.
-		 *
-		 * @param  {String} method GET|PUT|POST|DELETE
-		 * @param  {String} endpoint endpoint extra parameters
-		 * @param  {Object} data   Data to Put/Post
-		 * @return {Object}        Ajax Promise
-		 */
-		 var _make_request = function(method, endpoint, data){
-
-             // Make sure an API Endpoint has been defined
-             if( ! this.settings.endpoint )
-             {
-                 throw 'Error: The API Toolset has not been setup correctly.';
-             }
-			 var url = this.settings.endpoint.replace(/\/+$/, '');
-
-			 if(endpoint !== '' && endpoint.charAt(0) !== '?'){
-				 url  += "/";
-			 }
-
-             // Build a request object
-             var request = {
-                 'method'     : method,
-                 'url'        : url + endpoint,
-                 'dataType'   : 'json',
-                 'timeout'    : this.settings.timeout || 5000,
-                 'headers'    : {}
-             };
-
-             if( method !== 'get' && data )
-             {
-                 request.data = data;
-             }
-
-             if (this._last_request !== false)
-			 {
-                 var lq = this._last_request;
-                 request.beforeSend = function (){
-	                 if (lq !== null && lq !== true)
-					 {
-	                     lq.abort();
-	                 }
-                 };
-                 this._last_request = $.ajax(request);
-                 return this._last_request;
-             }
-             return $.ajax(request);
-         };
-
-		/**
-		 * Return a function set used to communicate with the back end server.
-		 */
-		return {
-
-			/**
-			 * Perform a GET request, to the given endpoint.
-			 * @param  {[type]} params [description]
-			 * @param  {[type]} endpoint [description]
-			 * @return {[type]}        [description]
-			 *
-			 * @since 1.0.1 Added clause to filter null params from query.
-			 * @since 1.0.0 Introduced
-			 */
-			get : function(params, endpoint){
+	var computed_accessor = function(name, field)
+	{
+		var descriptor = {
+			enumerable   : true,
+			configurable : true,
+			get          : function(){
 
-				var query_string = '';
+				var result = this,
+					cached = result._computed[name],
+					depends;
 
-				if( $.isPlainObject(params) )
-				{
-					for(var resource in params)
-					{
-						if( params.hasOwnProperty(resource) && params[resource] !== null )
-						{
-							if( query_string === '' )
-							{
-								query_string = '?' + encodeURIComponent(resource) + '=' + encodeURIComponent(params[resource]);
-							}
-							else
-							{
-								query_string += '&' + encodeURIComponent(resource) + '=' + encodeURIComponent(params[resource]);
-							}
-						}
-					}
-				}
-				else if( params )
+				if( ! field.depends )
 				{
-					query_string = params;
+					return field.get.call(result);
 				}
 
-				if( endpoint )
+				depends = $.map(field.depends, function(path){
+					return [ copy(get_path(result, path)) ];
+				});
+
+				if( ! cached || ! is_equal(cached.depends, depends) )
 				{
-					query_string = endpoint + '/' + query_string;
+					cached = result._computed[name] = { depends : depends, value : field.get.call(result) };
 				}
 
-				return _make_request.apply(self, ['get', query_string]);
-			},
-
-			/**
-			 * [put description]
-			 * @param  {[type]} data   [description]
-			 * @param  {[type]} endpoint [description]
-			 * @return {[type]}        [description]
-			 */
-			put : function(data, endpoint){
-				return _make_request.apply(self, ['put', endpoint, data]);
-			},
-
-			/**
-			 * [post description]
-			 * @param  {[type]} data   [description]
-			 * @param  {[type]} endpoint [description]
-			 * @return {[type]}        [description]
-			 */
-			post : function(data, endpoint){
-				return _make_request.apply(self, ['post', endpoint, data]);
-			},
-
-			/**
-			 * [delete description]
-			 * @param  {[type]} data   [description]
-			 * @param  {[type]} params [description]
-			 * @return {[type]}        [description]
-			 */
-			delete : function(data, params){
-				return _make_request.apply(self, ['delete', params]);
+				return cached.value;
 			}
-
 		};
 
+		if( field.set )
+		{
+			descriptor.set = function(value){
+				field.set.call(this, value);
+			};
+		}
+
+		return descriptor;
 	};
 
 
 	/**
-	 * Retrieves a record from internal properties, by ID.
+	 * Normalises a schema field definition. Fields can be given as just their type, e.g. {name : 'string'}.
 	 *
-	 * @author Josh Smith <josh@customd.com>
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since 1.0.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {Integer} id
-	 * @return {Object}    	Located Object, or null
+	 * @param  {Object|String|Function} field  The field definition.
+	 *
+	 * @return {Object}
 	 */
-	CD_Model.prototype.get = function(id) {
+	var schema_field = function(field)
+	{
+		return $.isPlainObject(field) ? field : { type : field };
+	};
 
-		for(var prop in this)
-		{
-			if( this.hasOwnProperty(prop) )
-			{
-				if( typeof this[prop].id !== 'undefined' && parseInt(this[prop].id) === parseInt(id) )
-				{
-					return this[prop];
-				}
-			}
-		}
+	/**
+	 * Gets the Result_Model of a nested schema field, if it is one.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} field  The normalised field definition.
+	 *
+	 * @return {Function|null}
+	 */
+	var nested_model = function(field)
+	{
+		var Model = typeof field.type === 'string' ? root[field.type] : field.type;
 
-		return null;
+		return ( typeof Model === 'function' && ( Model === CD_Result || Model.prototype instanceof CD_Result ) ) ? Model : null;
 	};
 
 	/**
-	 * Allow the ability to change parameters without actually
-	 * triggering a new request to go off.
+	 * Casts a value to the type of its schema field. Values that can't be cast are
+	 * left as they are, so validate() can report them.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.4.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {String}  param      The filed to add the filter for.
-	 * @param  {String}  value     The value to filter on. If empty, we'll remove filters for this field.
+	 * @param  {Object} field  The normalised field definition.
+	 * @param  {Mixed}  value  The value to cast.
 	 *
-	 * @return void
+	 * @return {Mixed}
 	 */
-	CD_Model.prototype.param = function(param, value)
+	var cast_value = function(field, value)
 	{
-		var mc = this;
+		var Model = nested_model(field),
+			cast;
 
-		if( typeof param !== 'undefined' && value )
+		if( typeof value === 'undefined' || value === null )
 		{
-			mc.settings.params[param] = value;
+			return value;
 		}
-		else if( typeof param !== 'undefined')
+
+		if( Model )
 		{
-			delete mc.settings.params[param];
+			if( $.isArray(value) )
+			{
+				return $.map(value, function(item){
+					return [ cast_value(field, item) ];
+				});
+			}
+
+			return $.isPlainObject(value) ? new Model(value) : value;
+		}
+
+		switch( field.type )
+		{
+			case 'string':
+				return ( typeof value === 'number' || typeof value === 'boolean' ) ? String(value) : value;
+
+			case 'number':
+				if( value === '' )
+				{
+					return null;
+				}
+
+				cast = Number(value);
+				return ( typeof value === 'string' && ! isNaN(cast) ) ? cast : value;
+
+			case 'boolean':
+				if( value === '' )
+				{
+					return null;
+				}
+
+				if( value === 'true' || value === '1' || value === 1 )
+				{
+					return true;
+				}
+
+				return ( value === 'false' || value === '0' || value === 0 ) ? false : value;
+
+			case 'date':
+				if( typeof value !== 'string' && typeof value !== 'number' )
+				{
+					return value;
+				}
+
+				if( value === '' )
+				{
+					return null;
+				}
+
+				cast = new Date(value);
+				return isNaN(cast.getTime()) ? value : cast;
 		}
+
+		return value;
 	};
 
 	/**
-	 * Adds a field and value to filter on
+	 * Casts the properties given for a result to the types in its schema.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {String}  field      The filed to add the filter for.
-	 * @param  {String} filter     The value to filter on. If empty, we'll remove filters for this field.
+	 * @param  {CD_Result} result      The result the properties are for.
+	 * @param  {Object}    properties  The properties to cast.
 	 *
-	 * @return {Array} An array of the sorted set of objects for this collection.
+	 * @return {Object} A copy of the properties, with cast values.
 	 */
-	CD_Model.prototype.filter = function(field, filter)
+	var cast_properties = function(result, properties)
 	{
-		var mc = this;
+		var schema = result.schema,
+			cast   = {};
 
-		if( typeof field !== 'undefined' && filter )
+		if( ! schema )
 		{
-			mc.settings.params[field] = filter;
-			mc.settings.params.offset = 0;
+			return properties;
 		}
-		else if( typeof field !== 'undefined')
+
+		for(var prop in properties)
 		{
-			delete mc.settings.params[field];
-			mc.settings.params.offset = 0;
+			if( properties.hasOwnProperty(prop) )
+			{
+				cast[prop] = schema.hasOwnProperty(prop) ? cast_value(schema_field(schema[prop]), properties[prop]) : properties[prop];
+			}
 		}
 
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+		return cast;
 	};
 
 	/**
-	 * Add sorting to the current query set.
+	 * Sets the default value of each schema field that the result doesn't have a value for.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param {String} sort
+	 * @param  {CD_Result} result  The result.
 	 *
-	 * @return {Array} An array of the sorted set of objects for this collection.
+	 * @return void
 	 */
-	CD_Model.prototype.sort = function(sort) {
-
-		var mc = this;
+	var apply_defaults = function(result)
+	{
+		var schema = result.schema || {},
+			field;
 
-		if( typeof sort !== 'undefined' )
-		{
-			mc.settings.params.sort = sort;
-			mc.settings.params.offset = 0;
-		}
-		else
+		for(var prop in schema)
 		{
-			delete mc.settings.params.sort;
-		}
+			field = schema_field(schema[prop]);
 
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+			if( schema.hasOwnProperty(prop) && field.hasOwnProperty('default') && typeof result[prop] === 'undefined' )
+			{
+				result[prop] = cast_value(field, typeof field['default'] === 'function' ? field['default'].call(result) : copy(field['default']));
+			}
+		}
 	};
 
 	/**
-	 * Retrieves a matching set of records for the search.
+	 * Validates a value against its schema field.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {String}  search     The search value to send through.
+	 * @param  {Object}    field   The normalised field definition.
+	 * @param  {Mixed}     value   The value to validate.
+	 * @param  {CD_Result} result  The result the value belongs to.
 	 *
-	 * @return {Array} An array of the sorted set of objects for this collection.
+	 * @return {String|Object|null} The error message (or errors of a nested result), or null if the value is valid.
 	 */
-	CD_Model.prototype.search = function(search){
+	var validate_value = function(field, value, result)
+	{
+		var Model      = nested_model(field),
+			validators = $.isArray(field.validate) ? field.validate : ( field.validate ? [field.validate] : [] ),
+			errors, outcome;
 
-		var mc = this;
+		if( typeof value === 'undefined' || value === null || value === '' || ( $.isArray(value) && ! value.length ) )
+		{
+			return field.required ? 'This field is required.' : null;
+		}
 
-		if( typeof search !== 'undefined' )
+		if( Model )
 		{
-			mc.settings.params.q = search;
-			mc.settings.params.offset = 0;
+			if( $.isArray(value) )
+			{
+				errors = {};
+
+				for(var i = 0; i < value.length; i++)
+				{
+					outcome = validate_value($.extend({}, field, { required : false, validate : null }), value[i], result);
+
+					if( outcome )
+					{
+						errors[i] = outcome;
+					}
+				}
+
+				if( ! $.isEmptyObject(errors) )
+				{
+					return errors;
+				}
+			}
+			else if( ! ( value instanceof Model ) )
+			{
+				return 'This field is invalid.';
+			}
+			else if( ! $.isEmptyObject(errors = value.validate()) )
+			{
+				return errors;
+			}
 		}
-		else
+
+		switch( field.type )
 		{
-			delete mc.settings.params.q;
+			case 'string':
+				if( typeof value !== 'string' )
+				{
+					return 'Must be text.';
+				}
+				break;
+
+			case 'number':
+				if( typeof value !== 'number' || isNaN(value) )
+				{
+					return 'Must be a number.';
+				}
+				break;
+
+			case 'boolean':
+				if( typeof value !== 'boolean' )
+				{
+					return 'Must be true or false.';
+				}
+				break;
+
+			case 'date':
+				if( ! ( value instanceof Date ) || isNaN(value.getTime()) )
+				{
+					return 'Must be a date.';
+				}
+				break;
+
+			case 'enum':
+				for(var v = 0; v < ( field.values || [] ).length; v++)
+				{
+					if( loose_equal(value, field.values[v]) )
+					{
+						break;
+					}
+				}
+
+				if( v === ( field.values || [] ).length )
+				{
+					return 'Must be one of: ' + ( field.values || [] ).join(', ') + '.';
+				}
+				break;
 		}
 
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+		// Custom validators return true when the value is valid, or an error message.
+		for(var c = 0; c < validators.length; c++)
+		{
+			outcome = validators[c].call(result, value, result);
+
+			if( outcome === false )
+			{
+				return 'This field is invalid.';
+			}
+
+			if( typeof outcome === 'string' )
+			{
+				return outcome;
+			}
+		}
+
+		return null;
 	};
 
 	/**
-	 * Retrieves the 'next' set of records.
+	 * Converts a property value into plain data, for toJSON().
 	 *
-	 * @author Sam Sehnert <sam@teamdf.com>
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.0.0  Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {int}   count       The number of items to get
+	 * @param  {Mixed} value
 	 *
-	 * @return {Array} An array of the next set of objects for this collection.
+	 * @return {Mixed}
 	 */
-	CD_Model.prototype.next = function( count ){
-
-		var mc = this;
-
-		if( ! ('limit' in mc.settings.params))
+	var plain_value = function(value)
+	{
+		if( value instanceof CD_Result )
 		{
-			return ($.Deferred()).reject('No limit defined in parameters');
+			return value.toJSON();
 		}
 
-		if( typeof count !== 'undefined' )
+		if( value instanceof Date )
 		{
-			mc.settings.params.limit = +count;
+			return isNaN(value.getTime()) ? null : value.toISOString();
 		}
 
-		if( ! ('offset' in mc.settings.params))
+		if( $.isArray(value) )
 		{
-			mc.settings.params.offset = 0;
+			return $.map(value, function(item){
+				return [ plain_value(item) ];
+			});
 		}
 
-		// Add the limit to the offset.
-		mc.settings.params.offset += mc.settings.params.limit;
-
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+		return value;
 	};
 
-	CD_Model.prototype.page = function( page, count ){
 
-		var mc = this;
+	/**
+	 * Resolves the model class named in a relation definition.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Object} relation  The relation definition.
+	 *
+	 * @return {Function} The CD_Model subclass.
+	 */
+	var related_model = function(relation)
+	{
+		var Model = typeof relation.model === 'string' ? root[relation.model] : relation.model;
 
-		if( ! ('limit' in mc.settings.params))
+		if( typeof Model !== 'function' )
 		{
-			return ($.Deferred()).reject('No limit defined in parameters');
+			throw 'Error: The related model "' + relation.model + '" has not been defined.';
 		}
 
-		if( typeof count !== 'undefined' )
-		{
-			mc.settings.params.limit = +count;
-		}
+		return Model;
+	};
 
-		if( ! ('offset' in mc.settings.params))
+	/**
+	 * Gets the collection that holds results of a related model which were fetched, embedded
+	 * or sideloaded, rather than loaded into one of the application's own collections.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {Function} Model  The CD_Model subclass.
+	 *
+	 * @return {CD_Model}
+	 */
+	var related_store = function(Model)
+	{
+		if( ! Model.hasOwnProperty('_store') )
 		{
-			mc.settings.params.offset = 0;
+			hide(Model, '_store', new Model([]));
 		}
 
-		// Add the limit to the offset.
-		mc.settings.params.offset = mc.settings.params.limit * (page-1);
-
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+		return Model._store;
 	};
 
 	/**
-	 * Retrieves the 'previous' set of records.
+	 * Adds a record to the store of a related model, or updates the result that's already there.
 	 *
-	 * @author Sam Sehnert <sam@teamdf.com>
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0  Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {int}   count       The number of items to get.
+	 * @param  {Function} Model   The CD_Model subclass.
+	 * @param  {Object}   record  The record.
 	 *
-	 * @return {Array} An array of the previous set of objects for this collection.
+	 * @return {CD_Result}
 	 */
-	CD_Model.prototype.prev = function( count ){
-
-		var mc = this;
-
-		if( ! ('limit' in mc.settings.params))
-		{
-			return ($.Deferred()).reject('No limit defined in parameters');
-		}
-
-		if( typeof count !== 'undefined' )
-		{
-			mc.settings.params.limit = +count;
-		}
+	var store_related = function(Model, record)
+	{
+		var store  = related_store(Model),
+			result = ( record && typeof record.id !== 'undefined' && record.id !== null ) ? find_related(Model, record.id) : null;
 
-		if( ! ('offset' in mc.settings.params))
+		if( result )
 		{
-			mc.settings.params.offset = 0;
+			update_result(result, record);
+			return result;
 		}
 
-		// Remove the limit from the offset.
-		mc.settings.params.offset -= mc.settings.params.limit;
+		result = make_result(store, record);
+		store.push(result);
 
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+		return result;
 	};
 
 	/**
-	 * Parses the URL that this model will use.
+	 * Adds each record of a list (or object keyed on ID) to the store of a related model.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {object}  params     A set of parameters to add to the request.
-	 * @param  {string}  segments   A URL segment/prefix we'd add to the path.
+	 * @param  {Function} Model    The CD_Model subclass.
+	 * @param  {Object}   records  The records.
 	 *
-	 * @return string The full URL that we'd make a request to for this model.
+	 * @return {Array} The stored results.
 	 */
-	CD_Model.prototype.url = function( params, segments )
+	var store_all_related = function(Model, records)
 	{
-		var mc           = this,
-			query_string = '';
+		var results = [];
 
-		if( typeof params === 'undefined' )
-		{
-			params = $.extend({},mc.settings.params);
-		}
-
-		if( $.isPlainObject(params) )
+		for(var prop in records)
 		{
-			for(var resource in params)
+			if( records && records.hasOwnProperty(prop) )
 			{
-				if( params.hasOwnProperty(resource) && params[resource] !== null )
-				{
-					if( query_string === '' )
-					{
-						query_string = '?' + encodeURIComponent(resource) + '=' + encodeURIComponent(params[resource]);
-					}
-					else
-					{
-						query_string += '&' + encodeURIComponent(resource) + '=' + encodeURIComponent(params[resource]);
-					}
-				}
+				results.push(store_related(Model, records[prop]));
 			}
 		}
-		else if( params )
-		{
-			query_string = params;
-		}
-
-		if( segments )
-		{
-			query_string = segments + '/' + query_string;
-		}
 
-		return this.settings.endpoint.replace(/\/+$/, '') + '/' + query_string;
+		return results;
 	};
 
 	/**
-	 * Get the URL to the 'next' set in the API.
-	 * Generates the url by incrementing the offset parameter.
+	 * Keeps track of a collection of a model, so related results can be found in it. It's only held
+	 * weakly, so a collection that's no longer used can still be garbage collected. Without WeakRef,
+	 * collections aren't tracked, and related results are fetched rather than found.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {int}  count      Use the given limit to get the correct URL. Optional.
+	 * @param  {Function} Model  The CD_Model subclass.
+	 * @param  {CD_Model} mc     The collection.
 	 *
-	 * @return string The URL we'd use to get the 'next' data set.
+	 * @return void
 	 */
-	CD_Model.prototype.url_next = function(count)
+	var track_instance = function(Model, mc)
 	{
-		var mc 		= this,
-			params 	= $.extend({},mc.settings.params),
-			limit   = count || mc.settings.params.limit;
-
-		if( ! limit)
+		if( typeof WeakRef === 'function' )
 		{
-			return mc.url();
+			Model._instances.push(new WeakRef(mc));
 		}
-
-		// Add the limit to the offset.
-		params.offset = +params.offset + limit;
-
-		return mc.url(params);
 	};
 
-
 	/**
-	 * Get the URL to the 'prev' set in the API.
-	 * Generates the url by incrementing the offset parameter.
+	 * Gets the tracked collections of a model that are still around, forgetting any that have
+	 * been garbage collected.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {int}  count      Use the given limit to get the correct URL. Optional.
+	 * @param  {Function} Model  The CD_Model subclass.
 	 *
-	 * @return string The URL we'd use to get the 'prev' data set.
+	 * @return {Array} The collections.
 	 */
-	CD_Model.prototype.url_prev = function(count)
+	var live_instances = function(Model)
 	{
-		var mc 		= this,
-			params 	= $.extend({},mc.settings.params),
-			limit   = count || mc.settings.params.limit;
+		var refs      = Model._instances || [],
+			instances = [],
+			mc;
 
-		if( ! limit)
+		for(var i = 0; i < refs.length; i++)
 		{
-			return mc.url();
-		}
+			mc = refs[i].deref();
 
-		// Remove the limit from the offset.
-		params.offset = +params.offset - limit;
+			if( mc )
+			{
+				instances.push(mc);
+			}
+			else
+			{
+				refs.splice(i--, 1);
+			}
+		}
 
-		return mc.url(params);
+		return instances;
 	};
 
 	/**
-	 * Get the URL to the given page set in the API.
-	 * Generates the url by setting the offset parameter.
+	 * Finds a result of a related model by its ID, in any of the loaded collections of that model.
 	 *
 	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since  1.3.0 Introduced
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {int}  page      The page we want to be on.
-	 * @param  {int}  count     Use the given limit to get the correct URL. Optional.
+	 * @param  {Function} Model  The CD_Model subclass.
+	 * @param  {Mixed}    id     The ID to find.
 	 *
-	 * @return string The URL we'd use to get the 'next' data set.
+	 * @return {CD_Result|null}
 	 */
-	CD_Model.prototype.url_page = function(page, count)
+	var find_related = function(Model, id)
 	{
-		var mc 		= this,
-			params 	= $.extend({},mc.settings.params),
-			limit   = count || mc.settings.params.limit;
+		var instances = live_instances(Model),
+			found;
 
-		if( ! limit)
+		for(var i = 0; i < instances.length; i++)
 		{
-			return mc.url();
-		}
+			found = find_by_id(instances[i], id);
 
-		// Remove the limit from the offset.
-		params.offset = mc.settings.params.limit * (page-1);
+			if( found )
+			{
+				return found;
+			}
+		}
 
-		return mc.url(params);
+		return null;
 	};
 
 	/**
-	 * Replaces the current set of Result objects, with a new set via an API call
+	 * Fetches a single result of a related model, unless it's already loaded.
 	 *
-	 * @author 	Josh Smith <josh@customd.com>
-	 * @since 	1.0.0 Introduced
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @param {object} params
+	 * @since  1.5.0 Introduced
 	 *
-	 * @return {Object} API Request Promise
+	 * @param  {Function} Model  The CD_Model subclass.
+	 * @param  {Mixed}    id     The ID of the result.
+	 *
+	 * @return {Object} jQuery Promise, resolved with the result.
 	 */
-	CD_Model.prototype.replace = function( params ){
-
-		var mc = this;
+	var fetch_related = function(Model, id)
+	{
+		var found = find_related(Model, id),
+			store;
 
-		// Set new parameters
-		if( params )
+		if( found )
 		{
-			mc.settings.params = params;
+			return $.Deferred().resolve(found).promise();
 		}
 
-		// Empty the array
-		this.empty();
+		store = related_store(Model);
 
-		// Fire off a request to get collection data, then call the parent object
-		// and save this AJAX request as the promise.
-		return this.api().get(mc.settings.params)
-			.done(function(response){
-				CD_Model.call(mc, response[mc.settings.attribute]);
-			});
+		return internal_api(store).get(null, id).then(function(response){
+			return store_related(Model, response[store.settings.attribute]);
+		});
 	};
 
 	/**
-	 * Safetly empties the Model Collection array
+	 * Hydrates related records embedded in a result's properties (under the name of the
+	 * relation) into results of the related model.
 	 *
-	 * @author Josh Smith <josh@customd.com>
-	 * @since  1.0.0 Introduced
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @return this
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Result} result  The result with embedded records.
+	 *
+	 * @return void
 	 */
-	CD_Model.prototype.empty = function(){
+	var hydrate_embedded = function(result)
+	{
+		var relations = result.relations || {},
+			name, embedded;
 
-		for (var result in this)
+		for(name in relations)
 		{
-			if( this.hasOwnProperty(result) )
+			if( relations.hasOwnProperty(name) && result.hasOwnProperty(name) )
 			{
-				delete this[result];
+				embedded = result[name];
+
+				// The relation accessor lives on the prototype, so the embedded data can't stay here.
+				delete result[name];
+
+				hydrate_relation(result, name, embedded);
 			}
 		}
-
-		return this;
 	};
 
 	/**
-	 * Retrieves a record from internal properties, matched on where clause.
+	 * Hydrates the related records embedded in a result under the name of one of its relations,
+	 * into results of the related model. Anything that isn't a record (or list of records) is ignored.
 	 *
-	 * @author Josh Smith <josh@customd.com>
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @since 1.0.0 Introduced.
+	 * @since  1.5.0 Introduced
 	 *
-	 * @param  {Object}  where 	An object of filters to search by
-	 * @param  {Integer} limit 	A result set limit
-	 * @return {Array}     		An arary of matched objects, or empty array.
+	 * @param  {CD_Result} result    The result.
+	 * @param  {String}    name      The name of the relation.
+	 * @param  {Mixed}     embedded  The embedded record, or list of records.
+	 *
+	 * @return void
 	 */
-	CD_Model.prototype.get_where = function(where, limit){
+	var hydrate_relation = function(result, name, embedded)
+	{
+		var Model;
 
-		// No where clause? Return an empty array
-		if( typeof where !== 'object' )
+		if( ! embedded || typeof embedded !== 'object' )
 		{
-			return [];
+			return;
 		}
 
-		// Define filter arrays and objects
-		var self 		= this,
-			matched 	= [],
-			truth_table = {},
-			clause;
+		Model = related_model(result.relations[name]);
 
-		// Loop through all properties of this object
-		obj_props:
-		for(var prop in this)
+		if( ! result._related )
 		{
-			if( this.hasOwnProperty(prop) )
-			{
-				// Loop through filters in where object
-				for( clause in where)
-				{
-					if( where.hasOwnProperty(clause) )
-					{
-						// If the property exists on the object, and matches our where clause
-						// Note, we do a non–type comparison. As we can't guarantee the user knows what format
-						// the ID of an object might be in, due to JS being a loosly typed language (could be string, int etc.).
-						if( typeof self[prop][clause] !== 'undefined' && self[prop][clause] == where[clause] ) // jshint ignore:line
-						{
-							truth_table[clause] = true;
-						}
-						else
-						{
-							truth_table[clause] = false;
-						}
-					}
-				}
-
-				//
-				// Now loop through all clauses, and check matches
-				//
-				var include = true;
-				for( clause in truth_table )
-				{
-					if( truth_table.hasOwnProperty(clause) )
-					{
-						if( !truth_table[clause] )
-						{
-							include = false;
-						}
-					}
-				}
+			hide(result, '_related', {});
+		}
 
-				//
-				// If conditions were met... Include the match
-				//
-				if( include )
-				{
-					matched.push(this[prop]);
-				}
+		result._related[name] = $.isArray(embedded) ? store_all_related(Model, embedded) : store_related(Model, embedded);
+	};
 
-				//
-				// Break main loop if limit has been reached
-				//
-				if( matched.length === limit )
-				{
-					break obj_props;
-				}
+	/**
+	 * Hydrates records sideloaded in a list response into results of their related models,
+	 * for each relation of the collection's Result_Model with a sideload path.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
+	 *
+	 * @since  1.5.0 Introduced
+	 *
+	 * @param  {CD_Model} mc        The collection that made the request.
+	 * @param  {Object}   response  The API response.
+	 *
+	 * @return void
+	 */
+	var hydrate_sideloaded = function(mc, response)
+	{
+		var Result_Object = root[typeof mc.Result_Model === 'undefined' ? 'CD_Result' : mc.Result_Model],
+			relations     = Result_Object.prototype.relations || {},
+			name;
 
+		for(name in relations)
+		{
+			if( ! relations.hasOwnProperty(name) || ! relations[name].sideload )
+			{
+				continue;
 			}
-		}
 
-		return limit === 1 ? matched[0] : matched;
+			store_all_related(related_model(relations[name]), get_path(response, relations[name].sideload));
+		}
 	};
 
-
-
 	/**
-	 * Match Objects based on like filters
+	 * Creates the accessor method for a relation. Accessors return a promise, resolved with
+	 * the related result (belongs_to) or an array of results (has_many). Results are taken from
+	 * loaded collections where possible, and fetched through the related model's api() otherwise.
+	 *
+	 * @author Sam Sehnert <sam@customd.com>
 	 *
-	 * @author Josh Smith <josh@customd.com>
+	 * @since  1.5.0 Introduced
 	 *
-	 * @since 1.0.0 Introduced.
+	 * @param  {String} name  The name of the relation.
 	 *
-	 * @param  {Object} like	Object of like filters
-	 * @return {Array}   	    Array of Matched Objects
+	 * @return {Function}
 	 */
-	CD_Model.prototype.like = function(like){
-
-		if( typeof like !== 'object' )
+	var relation_accessor = function(name)
+	{
+		/**
+		 * @param  {Object} options  {reload : true} to ignore related results we've already resolved. Optional.
+		 *
+		 * @return {Object} jQuery Promise
+		 */
+		return function(options)
 		{
-			return [];
-		}
+			var result   = this,
+				relation = result.relations[name],
+				Model    = related_model(relation),
+				reload   = options && options.reload,
+				cached   = result._related && result._related.hasOwnProperty(name) ? result._related[name] : undefined,
+				store, params, ids;
+
+			var remember = function(related)
+			{
+				if( ! result._related )
+				{
+					hide(result, '_related', {});
+				}
 
-		var self 	= this,
-			matched = [];
+				result._related[name] = related;
 
-		// Loop through Objects
-		for(var prop in this)
-		{
-			if( this.hasOwnProperty(prop) )
+				return related;
+			};
+
+			if( relation.type === 'belongs_to' )
 			{
-				var match = 0;
+				var id = result[relation.key || name + '_id'];
 
-				// Loop through filters in like object
-				for(var clause in like)
+				if( typeof id === 'undefined' || id === null || id === '' )
 				{
-					if( like.hasOwnProperty(clause) )
-					{
-						// Create a new regular expression from the match we're after
-						var re = new RegExp(like[clause], 'gi');
-
-						// If the property exists on the object, and matches our like clause
-						if( typeof self[prop][clause] !== 'undefined' && self[prop][clause] !== null && self[prop][clause].toString().match(re) )
-						{
-							match ++;
-						}
-					}
+					return $.Deferred().resolve(cached && ! reload ? cached : null).promise();
 				}
 
-				if( match === Object.keys(like).length )
+				if( cached && ! reload && String(cached.id) === String(id) )
 				{
-					matched.push(this[prop]);
+					return $.Deferred().resolve(cached).promise();
 				}
+
+				return fetch_related(Model, id).then(remember);
 			}
-		}
 
-		return matched;
+			if( cached && ! reload )
+			{
+				return $.Deferred().resolve(cached).promise();
+			}
+
+			// A list of IDs on this result.
+			if( relation.key )
+			{
+				ids = result[relation.key];
+				ids = $.isArray(ids) ? ids : ( ids === null || typeof ids === 'undefined' || ids === '' ? [] : String(ids).split(',') );
+
+				return $.when.apply($, $.map(ids, function(id){
+					return fetch_related(Model, id);
+				})).then(function(){
+					return remember(Array.prototype.slice.call(arguments, 0, ids.length));
+				});
+			}
+
+			// Results of the related model that point back at this one.
+			store  = related_store(Model);
+			params = $.extend({}, relation.params);
+			params[relation.foreign_key] = result.id;
 
+			return internal_api(store).get(params).then(function(response){
+				return remember(store_all_related(Model, response[store.settings.attribute]));
+			});
+		};
 	};
 
 
@@ -975,6 +6818,9 @@ var CD_Model, CD_Result;
 	 *
 	 * @author Josh Smith <josh@customd.com>
 	 *
+	 * @since 1.5.0 Defines computed properties.
+	 * @since 1.5.0 Casts properties and applies defaults from the schema.
+	 * @since 1.5.0 Snapshots the initial properties for dirty tracking, and hydrates embedded related records.
 	 * @since 1.0.0 Introduced
 	 *
 	 * @param {Object} properties Properties of this Object
@@ -983,23 +6829,66 @@ var CD_Model, CD_Result;
 	{
 		if( typeof properties === 'object' )
 		{
+			properties = cast_properties(this, properties);
+
 			for(var prop in properties)
 			{
 				this[prop] = properties[prop];
 			}
 		}
 
+		apply_defaults(this);
+
 		// Define length property
 		Object.defineProperty(CD_Result.prototype, 'length', {get: function() {
 			return Object.keys(this).length;
 		}});
+
+		// Turn embedded related records into results of their own.
+		hydrate_embedded(this);
+
+		define_computed(this);
+
+		// Snapshot the initial properties, so we can tell what's been changed.
+		this.mark_clean();
 	};
 
 
 	/**
 	 * Extends CD_Result, by returning a Pseudo Function that inherits properties.
 	 *
+	 * Relations to other models can be defined in methods.relations, keyed on the name of the
+	 * accessor method to create:
+	 *
+	 *  - type        : belongs_to|has_many
+	 *  - model       : The related CD_Model subclass, or the name of its global.
+	 *  - key         : The field on this result holding the related ID (belongs_to, defaults to
+	 *                  '{name}_id'), or a list of related IDs (has_many).
+	 *  - foreign_key : The field on the related results pointing back at this one (has_many, instead of key).
+	 *  - params      : Extra params to send when fetching by foreign_key. Optional.
+	 *  - sideload    : Path to related records sideloaded in list responses. Optional.
+	 *
+	 * Fields can be described in methods.schema, keyed on the field name. Each field is either a
+	 * type, or an object of:
+	 *
+	 *  - type     : string|number|boolean|date|enum, or a Result_Model (or the name of its global).
+	 *  - values   : The allowed values of an enum.
+	 *  - default  : The value to use when the field isn't given, or a function returning it. Optional.
+	 *  - required : Whether the field must have a value. Optional.
+	 *  - validate : A function (or array of functions) called with the value, returning true, or an error message. Optional.
+	 *
+	 * Computed properties can be defined in methods.computed, keyed on the property name. Each is
+	 * either a getter, or an object of:
+	 *
+	 *  - get     : Returns the value, called with the result as this.
+	 *  - set     : Called with a new value, to set the fields it's computed from. Optional.
+	 *  - depends : The fields (or dotted paths) the value is computed from. When given, the value
+	 *              is only recomputed once one of them changes. Optional.
+	 *
 	 * @author Josh Smith <josh@customd.com>
+	 * @since  1.5.0 Added computed properties.
+	 * @since  1.5.0 Added schema.
+	 * @since  1.5.0 Added relations.
 	 * @since  1.0.0 Introduced
 	 *
 	 * @param {object} methods
@@ -1032,6 +6921,15 @@ var CD_Model, CD_Result;
 			Result_Model.prototype[key] = methods[key];
 		}
 
+		// Each relation gets an accessor method of the same name.
+		for(var name in methods.relations || {})
+		{
+			if( methods.relations.hasOwnProperty(name) )
+			{
+				Result_Model.prototype[name] = relation_accessor(name);
+			}
+		}
+
 		return Result_Model;
 	};
 
@@ -1059,23 +6957,423 @@ var CD_Model, CD_Result;
 		 *
 		 * @author Josh Smith <josh@customd.com>
 		 *
+		 * @since 1.5.0 Uses toJSON() to collect the properties.
 		 * @since 1.0.0 Introduced.
 		 *
 		 * @return {String} String representation of this Object
 		 */
 		toString : function(){
 
-			var obj = {};
+			return JSON.stringify(this.toJSON());
+		},
+
+		/**
+		 * Outputs the properties of this Object as a plain object. Dates are output as
+		 * ISO 8601 strings, nested results as plain objects, and computed properties are left out.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {Object} Plain object representation of this Object
+		 */
+		toJSON : function(){
+
+			var obj      = {},
+				computed = this.computed || {};
 
 			for(var prop in this)
 			{
-				if( this.hasOwnProperty(prop) )
+				if( this.hasOwnProperty(prop) && ! computed.hasOwnProperty(prop) )
+				{
+					obj[prop] = plain_value(this[prop]);
+				}
+			}
+
+			return obj;
+		},
+
+		/**
+		 * Sets one or more properties of this result, and fires a 'change' event on
+		 * its collection with the result and the changes ({field : {from, to}}).
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @param  {String|Object} key    The property to set, or an object of properties.
+		 * @param  {Mixed}         value  The value to set. Ignored when key is an object.
+		 *
+		 * @return this
+		 */
+		set : function(key, value){
+
+			var properties = key,
+				changes;
+
+			if( typeof key === 'string' )
+			{
+				properties      = {};
+				properties[key] = value;
+			}
+
+			changes = assign(this, properties);
+
+			if( this._collection && ! $.isEmptyObject(changes) )
+			{
+				this._collection.emit('change', this, changes);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Snapshots the current properties of this result, so that they're
+		 * considered unchanged. Called automatically on construction, and
+		 * whenever the result is synced with the server.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return this
+		 */
+		mark_clean : function(){
+
+			hide(this, '_original', copy(this.toJSON()));
+
+			return this;
+		},
+
+		/**
+		 * Gets the properties that have changed since the last snapshot.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {Object} A map of field to {from, to} values.
+		 */
+		changed : function(){
+
+			var original = this._original || {},
+				current  = this.toJSON(),
+				changes  = {},
+				prop;
+
+			for(prop in current)
+			{
+				if( current.hasOwnProperty(prop) && ( ! original.hasOwnProperty(prop) || ! is_equal(original[prop], current[prop]) ) )
+				{
+					changes[prop] = { from : original[prop], to : current[prop] };
+				}
+			}
+
+			// Properties that have been deleted since the snapshot.
+			for(prop in original)
+			{
+				if( original.hasOwnProperty(prop) && ! current.hasOwnProperty(prop) )
+				{
+					changes[prop] = { from : original[prop], to : undefined };
+				}
+			}
+
+			return changes;
+		},
+
+		/**
+		 * Determines whether this result has changed since the last snapshot.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @param  {String}  field  Only check the given field. Optional.
+		 *
+		 * @return {Boolean}
+		 */
+		is_dirty : function(field){
+
+			var changes = this.changed();
+
+			if( typeof field !== 'undefined' )
+			{
+				return changes.hasOwnProperty(field);
+			}
+
+			return Object.keys(changes).length > 0;
+		},
+
+		/**
+		 * Rolls this result back to the last snapshot.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @param  {Array} fields  Only roll back these fields. Optional.
+		 *
+		 * @return this
+		 */
+		revert : function(fields){
+
+			var changes  = this.changed(),
+				original = {};
+
+			for(var prop in changes)
+			{
+				if( changes.hasOwnProperty(prop) && ( ! fields || $.inArray(prop, fields) !== -1 ) )
+				{
+					if( typeof changes[prop].from === 'undefined' )
+					{
+						delete this[prop];
+					}
+					else
+					{
+						original[prop] = copy(changes[prop].from);
+					}
+				}
+			}
+
+			// The snapshot holds plain values, so cast them back to the types in the schema.
+			original = cast_properties(this, original);
+
+			for(prop in original)
+			{
+				this[prop] = original[prop];
+			}
+
+			return this;
+		},
+
+		/**
+		 * Validates this result against its schema.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {Object} A map of field to error message (or the errors of a nested result). Empty when valid.
+		 */
+		validate : function(){
+
+			var schema = this.schema || {},
+				errors = {},
+				error;
+
+			for(var prop in schema)
+			{
+				if( schema.hasOwnProperty(prop) && ( error = validate_value(schema_field(schema[prop]), this[prop], this) ) )
+				{
+					errors[prop] = error;
+				}
+			}
+
+			return errors;
+		},
+
+		/**
+		 * Determines whether this result is valid against its schema.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {Boolean}
+		 */
+		is_valid : function(){
+
+			return $.isEmptyObject(this.validate());
+		},
+
+		/**
+		 * Determines whether this result has been saved to the server yet.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {Boolean} True if the result has no ID.
+		 */
+		is_new : function(){
+
+			return typeof this.id === 'undefined' || this.id === null || this.id === '';
+		},
+
+		/**
+		 * Gets the API URL of this result, based on the endpoint of its collection.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {String|null} The URL of this record, or null if it doesn't belong to a collection.
+		 */
+		url : function(){
+
+			if( ! this._collection )
+			{
+				return null;
+			}
+
+			var url = this._collection.settings.endpoint.replace(/\/+$/, '');
+
+			return this.is_new() ? url : url + '/' + this.id;
+		},
+
+		/**
+		 * Saves this result to the server. New results are POSTed to the collection
+		 * endpoint, and added to the collection. Existing results are PUT to their own URL.
+		 *
+		 * Results that aren't valid against their schema aren't sent. Instead, an 'invalid' event
+		 * is fired on the collection, and the promise is rejected with the errors from validate().
+		 *
+		 * Options:
+		 *  - changed_only : Only send the fields that have changed since the last snapshot (existing results only).
+		 *  - validate     : Set to false to send the result without validating it.
+		 *  - optimistic   : Add new results to the collection straight away, and roll the result back if
+		 *                   the request fails. Defaults to the optimistic setting of the collection.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Added the optimistic option.
+		 * @since 1.5.0 Refuses to save invalid results.
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @param  {Object} options  Save options. Optional.
+		 *
+		 * @return {Object} API Request Promise
+		 */
+		save : function(options){
+
+			var result = this,
+				mc     = result._collection,
+				is_new = result.is_new(),
+				data, errors, request;
+
+			if( ! mc )
+			{
+				return ($.Deferred()).reject('No collection defined for this result');
+			}
+
+			options = $.extend({ changed_only : false, validate : true, optimistic : mc.settings.optimistic }, options);
+
+			if( options.validate && ! $.isEmptyObject(errors = result.validate()) )
+			{
+				mc.emit('invalid', result, errors);
+				return settle(mc, ($.Deferred()).reject(errors));
+			}
+
+			data    = save_data(result, options.changed_only);
+			request = is_new ? internal_api(mc).post(data) : internal_api(mc).put(data, result.id);
+
+			if( options.optimistic && is_new && index_of(mc, result) === -1 )
+			{
+				mc.push(result);
+			}
+
+			return settle(mc, request.done(function(response){
+
+				sync_result(result, response);
+
+				// Newly created results join the collection once the server has accepted them.
+				if( is_new && index_of(mc, result) === -1 )
+				{
+					mc.push(result);
+				}
+			}).fail(function(){
+
+				if( options.optimistic )
 				{
-					obj[prop] = this[prop];
+					rollback_save(mc, result, is_new, to_error(arguments), data);
 				}
+			}));
+		},
+
+		/**
+		 * Deletes this result from the server, and removes it from its collection.
+		 *
+		 * Options:
+		 *  - optimistic : Remove the result from the collection straight away, and put it back if
+		 *                 the request fails. Defaults to the optimistic setting of the collection.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Added the optimistic option.
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @param  {Object} options  Destroy options. Optional.
+		 *
+		 * @return {Object} API Request Promise
+		 */
+		destroy : function(options){
+
+			var result = this,
+				mc     = result._collection,
+				position;
+
+			if( ! mc )
+			{
+				return ($.Deferred()).reject('No collection defined for this result');
+			}
+
+			// Nothing to delete on the server, so just drop it from the collection.
+			if( result.is_new() )
+			{
+				remove_result(mc, result);
+				return settle(mc, ($.Deferred()).resolve().promise());
+			}
+
+			options  = $.extend({ optimistic : mc.settings.optimistic }, options);
+			position = position_of(mc, result);
+
+			if( options.optimistic )
+			{
+				remove_result(mc, result);
+			}
+
+			return settle(mc, internal_api(mc).delete(null, result.id)
+				.done(function(){
+					remove_result(mc, result);
+				})
+				.fail(function(){
+
+					if( options.optimistic )
+					{
+						rollback_destroy(mc, result, position, to_error(arguments));
+					}
+				}));
+		},
+
+		/**
+		 * Re-loads this result from the server, and updates it in place.
+		 *
+		 * @author Sam Sehnert <sam@customd.com>
+		 *
+		 * @since 1.5.0 Introduced.
+		 *
+		 * @return {Object} API Request Promise
+		 */
+		refresh : function(){
+
+			var result = this,
+				mc     = result._collection;
+
+			if( ! mc )
+			{
+				return ($.Deferred()).reject('No collection defined for this result');
+			}
+
+			if( result.is_new() )
+			{
+				return settle(mc, ($.Deferred()).reject('Unable to refresh a result that has not been saved'));
 			}
 
-			return JSON.stringify(obj);
+			// Always ask the server, as that's the point of a refresh.
+			return settle(mc, internal_api(mc).get(null, result.id, { cache : false })
+				.done(function(response){
+					sync_result(result, response);
+				}));
 		}
 
 	};
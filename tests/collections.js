@@ -0,0 +1,497 @@
+/* global jQuery:true */
+/* global CD_Model:true */
+/* global QUnit:true */
+/* global Test:true */
+
+(function($){
+
+	"use strict";
+
+	QUnit.module('Collections');
+
+	QUnit.test('pagination metadata is read from the response', function(assert){
+
+		var test = Test.setup(null, { params : { limit : 2 } });
+
+		return test.model.init().then(function(){
+			assert.deepEqual(test.model.pagination(), { page : 1, pages : 3, total : 5, limit : 2, offset : 0, has_next : true, has_prev : false });
+			return test.model.page(3, undefined, { strategy : 'replace' });
+		}).then(function(){
+			assert.deepEqual(Test.ids(test.model), [5]);
+			return Test.rejected(assert, test.model.next());
+		}).then(function(rejected){
+			assert.equal(rejected[0], 'No more records');
+			return Test.rejected(assert, test.model.page(4));
+		}).then(function(rejected){
+			assert.equal(rejected[0], 'Page out of range');
+		});
+	});
+
+	QUnit.test('cursor pagination follows the cursors in the response', function(assert){
+
+		var Model = CD_Model.extend({
+				settings : {
+					endpoint   : Test.endpoint,
+					params     : {},
+					pagination : { mode : 'cursor' },
+					strategy   : 'replace',
+					transport  : function(request){
+						var page = /cursor=b/.test(request.url) ? { data : [{ id : 2 }], prev_cursor : 'a' } : { data : [{ id : 1 }], next_cursor : 'b' };
+						return $.Deferred().resolve(page, 'success', { status : 200, getResponseHeader : function(){ return null; } }).promise();
+					}
+				}
+			}),
+			model = new Model();
+
+		return model.init().then(function(){
+			assert.deepEqual(Test.ids(model), [1]);
+			return model.next();
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [2]);
+			assert.equal(model.url_prev(), Test.endpoint + '/?cursor=a');
+		});
+	});
+
+	QUnit.test('link pagination follows the Link header', function(assert){
+
+		var requested = [],
+			Model     = CD_Model.extend({
+				settings : {
+					endpoint   : Test.endpoint,
+					params     : {},
+					pagination : { mode : 'link' },
+					strategy   : 'replace',
+					transport  : function(request){
+
+						var second = /page=2/.test(request.url),
+							link   = second ? '<' + Test.endpoint + '?page=1>; rel="prev"' : '<' + Test.endpoint + '?page=2>; rel="next last"';
+
+						requested.push(request.url);
+
+						return $.Deferred().resolve({ data : [{ id : second ? 2 : 1 }] }, 'success', { status : 200, getResponseHeader : function(name){ return name === 'Link' ? link : null; } }).promise();
+					}
+				}
+			}),
+			model = new Model();
+
+		return model.init().then(function(){
+			assert.deepEqual(Test.ids(model), [1]);
+			assert.ok(model.pagination().has_next);
+			assert.ok(! model.pagination().has_prev);
+			assert.equal(model.url_next(), Test.endpoint + '?page=2');
+			return model.next();
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [2]);
+			assert.equal(requested[1], Test.endpoint + '?page=2', 'the link is requested as it is');
+			assert.equal(model.url_next(), null);
+			assert.equal(model.url_prev(), Test.endpoint + '?page=1');
+		});
+	});
+
+	QUnit.test('the replace, append and merge strategies', function(assert){
+
+		var test  = Test.setup(null, { params : { limit : 2 } }),
+			model = test.model,
+			fired = Test.record(model, ['add', 'remove', 'change', 'reset']);
+
+		return model.init().then(function(){
+			return model.next({ strategy : 'append' });
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [1, 2, 3, 4], 'append');
+			return model.page(1, undefined, { strategy : 'append' });
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [1, 2, 3, 4], 'append skips duplicates');
+
+			fired.length = 0;
+			test.server.endpoints[Test.endpoint].records[0].name = 'Samuel';
+
+			return model.page(1, undefined, { strategy : 'merge', remove : true });
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [1, 2], 'merge removes missing results');
+			assert.equal(model[0].name, 'Samuel');
+			assert.deepEqual(fired.slice().sort(), ['change:1', 'remove:3', 'remove:4']);
+			return model.filter('status', 'active', { strategy : 'replace' });
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [1, 3], 'replace');
+		});
+	});
+
+	QUnit.test('replace() resets the collection once', function(assert){
+
+		var test  = Test.setup(null, { params : { limit : 2 } }),
+			fired = Test.record(test.model, ['reset', 'add']);
+
+		return test.model.init().then(function(){
+			fired.length = 0;
+			return test.model.replace({ limit : 2, status : 'inactive' });
+		}).then(function(){
+			assert.deepEqual(Test.ids(test.model), [2, 5]);
+			assert.deepEqual(fired, ['reset', 'add:2', 'add:5']);
+		});
+	});
+
+	QUnit.test('replace() skips the cache', function(assert){
+
+		var test = Test.setup(null, { cache : 60000 });
+
+		return test.model.init().then(function(){
+			test.server.endpoints[Test.endpoint].records[0].name = 'Changed';
+			return test.model.replace({});
+		}).then(function(){
+			assert.equal(test.model[0].name, 'Changed');
+		});
+	});
+
+	QUnit.test('get_where() operators', function(assert){
+
+		var test = Test.setup([
+			{ id : 1, status : 'a', age : 20, owner : { team : { id : 4 } } },
+			{ id : 2, status : 'b', age : 30, owner : { team : { id : 5 } } },
+			{ id : 3, status : 'c', age : 40 }
+		]);
+
+		return test.model.init().then(function(){
+
+			var ids = function(results){
+				return $.map(results, function(result){ return result.id; });
+			};
+
+			assert.deepEqual(ids(test.model.get_where({ status : { $in : ['a', 'c'] } })), [1, 3]);
+			assert.deepEqual(ids(test.model.get_where({ age : { $gt : 20, $lte : 40 } })), [2, 3]);
+			assert.deepEqual(ids(test.model.get_where({ 'owner.team.id' : 4 })), [1]);
+			assert.deepEqual(ids(test.model.get_where({ owner : { $exists : false } })), [3]);
+			assert.deepEqual(ids(test.model.get_where({ $or : [{ status : 'a' }, { age : 40 }] })), [1, 3]);
+			assert.equal(test.model.get_where({ id : '2' }, 1).status, 'b', 'plain values are loosely compared');
+		});
+	});
+
+	QUnit.test('get_where() $regex ignores the g and y flags', function(assert){
+
+		var test = Test.setup();
+
+		return test.model.init().then(function(){
+			assert.deepEqual($.map(test.model.get_where({ name : { $regex : /a/g } }), function(result){ return result.id; }), [1, 3, 4]);
+			assert.deepEqual($.map(test.model.get_where({ name : { $regex : 'a', $options : 'giy' } }), function(result){ return result.id; }), [1, 3, 4, 5]);
+		});
+	});
+
+	QUnit.test('local mode filters, sorts, searches and pages in the browser, replacing the results', function(assert){
+
+		var test      = Test.setup(null, { remote : false, params : { limit : 2 } }),
+			sent      = [],
+			transport = test.model.settings.transport;
+
+		test.model.settings.transport = function(request){
+			sent.push(request);
+			return transport(request);
+		};
+
+		return test.model.init().then(function(){
+			assert.deepEqual(Test.ids(test.model), [1, 2]);
+			return test.model.sort('-name');
+		}).then(function(){
+			assert.deepEqual(Test.ids(test.model), [1, 4]);
+			return test.model.filter('status', 'inactive');
+		}).then(function(){
+			assert.deepEqual(Test.ids(test.model), [2, 5]);
+			return test.model.search('jo');
+		}).then(function(){
+			assert.deepEqual(Test.ids(test.model), [2]);
+			assert.equal(sent.length, 1, 'only the dataset is requested');
+		});
+	});
+
+	QUnit.test('collections export plain objects, CSV and JSON', function(assert){
+
+		var test = Test.setup([
+			{ id : 1, name : 'Sam "S"', team : { name : 'A, B' } },
+			{ id : 2, name : 'Josh', team : { name : 'C' } }
+		]);
+
+		return test.model.init().then(function(){
+			assert.deepEqual(test.model.toArray()[1], { id : 2, name : 'Josh', team : { name : 'C' } });
+			return test.model.export('csv', { fields : ['id', 'name', 'team.name'], headers : { 'team.name' : 'Team' } });
+		}).then(function(csv){
+			assert.equal(csv, 'id,name,Team\r\n1,"Sam ""S""","A, B"\r\n2,Josh,C');
+			return test.model.export('json', { fields : ['id'] });
+		}).then(function(json){
+			assert.deepEqual(JSON.parse(json), [{ id : 1 }, { id : 2 }]);
+		});
+	});
+
+	QUnit.test('exports return native Promises with the promise setting', function(assert){
+
+		var test    = Test.setup(null, { promise : 'native' }),
+			promise = test.model.export('csv', { fields : ['id'] });
+
+		assert.ok(promise instanceof window.Promise);
+
+		return promise.then(function(csv){
+			assert.equal(csv, 'id');
+			return test.model.export('xml').then(function(){
+				assert.ok(false, 'The export should have been rejected');
+			}, function(error){
+				assert.ok(error instanceof CD_Model.Request_Error);
+				assert.equal(error.message, 'Unknown export format "xml"');
+			});
+		});
+	});
+
+	QUnit.test('debounced searches only send the last search', function(assert){
+
+		var test = Test.setup(null, { search_debounce : 20 }),
+			sent = [],
+			transport = test.model.settings.transport;
+
+		test.model.settings.transport = function(request){
+			sent.push(request.url);
+			return transport(request);
+		};
+
+		test.model.search('s');
+		test.model.search('sa');
+
+		return test.model.search('sam', { strategy : 'replace' }).then(function(){
+			assert.equal(sent.length, 1);
+			assert.ok(/q=sam/.test(sent[0]));
+			assert.deepEqual(Test.ids(test.model), [1]);
+		});
+	});
+
+	QUnit.test('polls merge changes into the collection by ID', function(assert){
+
+		var test  = Test.setup(null, { strategy : 'replace' }),
+			model = test.model,
+			fired = Test.record(model, ['add', 'remove', 'change']),
+			records;
+
+		return model.init().then(function(){
+
+			fired.length = 0;
+
+			records = test.server.endpoints[Test.endpoint].records;
+			records[1].name = 'Joshua';
+			records.splice(2, 1);
+			records.push({ id : 9, name : 'New' });
+
+			model.poll(10, { pause_hidden : false });
+
+			return Test.wait(40);
+		}).then(function(){
+			model.stop_polling();
+
+			assert.deepEqual(Test.ids(model), [1, 2, 4, 5, 9]);
+			assert.deepEqual(fired.sort(), ['add:9', 'change:2', 'remove:3']);
+		});
+	});
+
+	QUnit.test('polls skip the cache', function(assert){
+
+		var test  = Test.setup(null, { strategy : 'replace', cache : 60000 }),
+			model = test.model,
+			urls;
+
+		return model.init().then(function(){
+
+			test.server.endpoints[Test.endpoint].records[0].name = 'Samuel';
+			model.poll(10, { pause_hidden : false });
+
+			return Test.wait(40);
+		}).then(function(){
+			model.stop_polling();
+
+			assert.equal(model.get(1).name, 'Samuel', 'merged from the server');
+			urls = Object.keys(model.cache.entries);
+
+			assert.equal(urls.length, 1);
+			assert.equal(model.cache.get(urls[0]).args[0].data[0].name, 'Samuel', 'and the cached response replaced');
+		});
+	});
+
+	QUnit.test('failed polls back off', function(assert){
+
+		var test = Test.setup(null, { strategy : 'replace' }),
+			model = test.model;
+
+		return model.init().then(function(){
+
+			test.server.fail('GET', Test.endpoint, 500);
+			model.poll(20, { pause_hidden : false });
+
+			return Test.wait(30);
+		}).then(function(){
+			assert.equal(model._polling.delay, 40, 'doubled after a failure');
+			return Test.wait(60);
+		}).then(function(){
+			assert.equal(model._polling.delay, 20, 'reset once a poll succeeds');
+			model.stop_polling();
+		});
+	});
+
+	QUnit.test('the URL history restores, pushes and re-loads the params', function(assert){
+
+		var start = window.location.href,
+			test, length;
+
+		window.history.replaceState(null, '', '?status=inactive');
+
+		test   = Test.setup(null, { history : true });
+		length = window.history.length;
+
+		return test.model.init().then(function(){
+			assert.equal(test.model.settings.params.status, 'inactive', 'init() restores the params in the URL');
+			assert.deepEqual(Test.ids(test.model), [2, 5]);
+			return test.model.filter('status', 'active', { strategy : 'replace' });
+		}).then(function(){
+			assert.equal(window.location.search, '?status=active', 'loads write the params to the URL');
+			assert.equal(window.history.length, length + 1, 'with pushState');
+
+			window.history.pushState(null, '', '?status=inactive');
+			$(window).trigger('popstate');
+
+			return Test.wait(20);
+		}).then(function(){
+			assert.equal(test.model.settings.params.status, 'inactive');
+			assert.deepEqual(Test.ids(test.model), [2, 5], 'back and forward re-load the params in the URL');
+
+			test.model.dispose();
+			window.history.replaceState(null, '', start);
+		});
+	});
+
+	QUnit.test('stop_history() only unbinds its own model', function(assert){
+
+		var start    = window.location.href,
+			users    = Test.setup(null, { history : { namespace : 'users' } }),
+			others   = Test.setup(null, { history : { namespace : 'others' } }),
+			stopped  = [],
+			reloaded = [];
+
+		users.model.on('request', function(){ stopped.push(true); });
+		others.model.on('request', function(){ reloaded.push(true); });
+
+		return $.when(users.model.init(), others.model.init()).then(function(){
+
+			users.model.stop_history();
+
+			window.history.pushState(null, '', '?users[status]=inactive&others[status]=inactive');
+			$(window).trigger('popstate');
+
+			return Test.wait(20);
+		}).then(function(){
+			assert.equal(stopped.length, 1, 'the stopped model ignored back and forward');
+			assert.equal(reloaded.length, 2, 'the other model re-loaded');
+			assert.equal(others.model.settings.params.status, 'inactive');
+
+			others.model.dispose();
+			window.history.replaceState(null, '', start);
+		});
+	});
+
+	QUnit.test('bulk changes report what succeeded and failed', function(assert){
+
+		var test  = Test.setup(null, { bulk : { concurrency : 2 } }),
+			model = test.model,
+			fired = Test.record(model, ['change']);
+
+		test.server.fail('PUT', Test.endpoint + '/3', 500);
+
+		return model.init().then(function(){
+
+			var request = model.update_where({ status : 'active' }, { status : 'archived' });
+
+			assert.deepEqual(fired, [], 'nothing changes until the results have saved');
+
+			return request;
+		}).then(function(summary){
+			assert.deepEqual($.map(summary.succeeded, function(result){ return result.id; }), [1, 4]);
+			assert.equal(summary.failed[0].result.id, 3);
+			assert.equal(summary.failed[0].error.status, 500);
+			assert.deepEqual(fired.slice().sort(), ['change:1', 'change:4']);
+			assert.equal(model.get(3).status, 'active');
+			assert.ok(! model.get(1).is_dirty());
+			return model.destroy_where({ status : 'inactive' });
+		}).then(function(summary){
+			assert.equal(summary.succeeded.length, 2);
+			assert.deepEqual(Test.ids(model), [1, 3, 4]);
+		});
+	});
+
+	QUnit.test('bulk saves POST new results and PUT existing ones', function(assert){
+
+		var sent      = [],
+			fail      = false,
+			test      = Test.setup(null, { bulk : { endpoint : 'bulk' } }),
+			transport = test.server.transport(),
+			model     = test.model;
+
+		model.settings.transport = function(request){
+
+			if( ! /\/bulk/.test(request.url) )
+			{
+				return transport(request);
+			}
+
+			sent.push({ method : request.method, data : request.data.data });
+
+			return fail ?
+				$.Deferred().reject({ status : 500, getResponseHeader : function(){ return null; } }, 'error', 'HTTP 500').promise() :
+				$.Deferred().resolve({ data : $.map(request.data.data, function(record, i){ return [$.extend({ id : 10 + i }, record)]; }) }, 'success', null).promise();
+		};
+
+		return model.init().then(function(){
+
+			model.get(1).set('name', 'Sammy');
+
+			return model.save_all([model.build({ name : 'New', status : 'active' }), model.get(1)], { changed_only : true });
+		}).then(function(summary){
+			assert.equal(summary.succeeded.length, 2);
+			assert.equal(model.length, 6, 'new results join the collection');
+			assert.deepEqual(sent[0], { method : 'post', data : [{ name : 'New', status : 'active' }] }, 'new results are POSTed');
+			assert.deepEqual(sent[1], { method : 'put', data : [{ name : 'Sammy', id : 1 }] }, 'existing results are PUT, with only their changes');
+
+			fail = true;
+
+			return model.update_where({ status : 'inactive' }, { status : 'archived' });
+		}).then(function(summary){
+			assert.equal(summary.failed.length, 2);
+			assert.deepEqual(sent[2], { method : 'put', data : [{ status : 'archived', id : 2 }, { status : 'archived', id : 5 }] }, 'only the changes are sent');
+			assert.equal(model.get(2).status, 'inactive', 'failed updates are never made');
+			assert.ok(! model.get(2).is_dirty());
+		});
+	});
+
+	QUnit.test('bulk changes still resolve when a handler throws', function(assert){
+
+		var test      = Test.setup(null, { bulk : { endpoint : 'bulk' } }),
+			transport = test.server.transport(),
+			model     = test.model;
+
+		model.settings.transport = function(request){
+
+			if( ! /\/bulk/.test(request.url) )
+			{
+				return transport(request);
+			}
+
+			return $.Deferred().resolve({ data : request.data.data }, 'success', null).promise();
+		};
+
+		return model.init().then(function(){
+
+			model.on('change', function(result){
+				if( result && result.id === 1 )
+				{
+					throw new Error('Handler failed');
+				}
+			});
+
+			return model.update_where({ status : 'active' }, { status : 'archived' });
+		}).then(function(summary){
+			assert.deepEqual($.map(summary.succeeded, function(result){ return result.id; }), [3, 4]);
+			assert.equal(summary.failed[0].result.id, 1);
+			assert.equal(summary.failed[0].error.message, 'Handler failed');
+		});
+	});
+
+})(jQuery);
@@ -0,0 +1,156 @@
+/* global jQuery:true */
+/* global CD_Model:true */
+/* global QUnit:true */
+
+/* jshint unused:false */
+
+/**
+ * Helpers shared by the tests. Every test gets its own model and CD_Model.Mock_Server,
+ * so nothing leaks from one test to the next.
+ *
+ * @author Sam Sehnert <sam@customd.com>
+ *
+ * @since  1.5.0 Introduced
+ */
+var Test = (function($){
+
+	"use strict";
+
+	// A request that never settles fails its test, rather than hanging the suite.
+	QUnit.config.testTimeout = 5000;
+
+	var Test = {
+
+		/**
+		 * The endpoint the mock server answers on.
+		 * @type {String}
+		 */
+		endpoint : 'https://api.example.com/users',
+
+		/**
+		 * Some users to seed the mock server with.
+		 *
+		 * @return {Array}
+		 */
+		users : function(){
+
+			return [
+				{ id : 1, name : 'Sam',   status : 'active',   team_id : 1 },
+				{ id : 2, name : 'Josh',  status : 'inactive', team_id : 2 },
+				{ id : 3, name : 'Craig', status : 'active',   team_id : 1 },
+				{ id : 4, name : 'Sally', status : 'active',   team_id : 2 },
+				{ id : 5, name : 'Ann',   status : 'inactive', team_id : 1 }
+			];
+		},
+
+		/**
+		 * Sets up a mock server seeded with the given records, and a model that uses it.
+		 *
+		 * @param  {Array}  records  The records. Defaults to Test.users().
+		 * @param  {Object} settings Model settings, on top of the endpoint and transport. Optional.
+		 * @param  {Object} methods  Other CD_Model.extend() methods, e.g. Result_Model. Optional.
+		 *
+		 * @return {Object} {server, Model, model}
+		 */
+		setup : function(records, settings, methods){
+
+			var server = new CD_Model.Mock_Server(),
+				Model, model;
+
+			server.seed(Test.endpoint, records || Test.users());
+
+			Model = CD_Model.extend($.extend({}, methods, {
+				settings : $.extend({ endpoint : Test.endpoint, params : {}, transport : server.transport() }, settings)
+			}));
+
+			model = new Model();
+
+			return { server : server, Model : Model, model : model };
+		},
+
+		/**
+		 * Gets the IDs of the results in a collection, in order.
+		 *
+		 * @param  {CD_Model} model  The collection.
+		 *
+		 * @return {Array}
+		 */
+		ids : function(model){
+
+			var ids = [];
+
+			for(var i = 0; i < model.length; i++)
+			{
+				ids.push(model[i].id);
+			}
+
+			return ids;
+		},
+
+		/**
+		 * Records the events a collection fires, as 'name:id' (or just 'name' without a result).
+		 *
+		 * @param  {CD_Model} model   The collection.
+		 * @param  {Array}    events  The events to record.
+		 *
+		 * @return {Array} The recorded events, which fills up as they're fired.
+		 */
+		record : function(model, events){
+
+			var fired = [];
+
+			$.each(events, function(i, name){
+				model.on(name, function(result){
+					fired.push(result && typeof result.id !== 'undefined' ? name + ':' + result.id : name);
+				});
+			});
+
+			return fired;
+		},
+
+		/**
+		 * Waits for the given time.
+		 *
+		 * @param  {int} ms  The time, in ms.
+		 *
+		 * @return {Object} jQuery Promise
+		 */
+		wait : function(ms){
+
+			var deferred = $.Deferred();
+
+			setTimeout(deferred.resolve, ms);
+
+			return deferred.promise();
+		},
+
+		/**
+		 * Turns a promise that should be rejected into one that resolves with an array of what it
+		 * was rejected with, so tests can check it. Fails the test if the promise resolves.
+		 *
+		 * The arguments are wrapped in an array, as the XHR a request is rejected with is a promise
+		 * itself, and would be adopted.
+		 *
+		 * @param  {Object} assert   The QUnit assert.
+		 * @param  {Object} promise  The promise.
+		 *
+		 * @return {Object} jQuery Promise
+		 */
+		rejected : function(assert, promise){
+
+			var deferred = $.Deferred();
+
+			promise.then(function(){
+				assert.ok(false, 'The promise should have been rejected');
+				deferred.resolve();
+			}, function(){
+				deferred.resolve(Array.prototype.slice.call(arguments));
+			});
+
+			return deferred.promise();
+		}
+	};
+
+	return Test;
+
+})(jQuery);
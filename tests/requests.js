@@ -0,0 +1,505 @@
+/* global jQuery:true */
+/* global CD_Model:true */
+/* global QUnit:true */
+/* global Test:true */
+
+(function($){
+
+	"use strict";
+
+	/**
+	 * Wraps a transport, to count the requests sent with it.
+	 *
+	 * @param  {Function} transport  The transport.
+	 * @param  {Array}    sent       Filled with each request as it's sent.
+	 *
+	 * @return {Function}
+	 */
+	var counting = function(transport, sent)
+	{
+		return function(request){
+			sent.push(request);
+			return transport(request);
+		};
+	};
+
+	QUnit.module('Requests');
+
+	QUnit.test('headers and the auth token are sent with each request', function(assert){
+
+		var test = Test.setup(null, {
+			headers : function(){ return { 'X-Test' : 'yes' }; },
+			auth    : function(){ return 'abc'; }
+		});
+
+		return test.model.init().then(function(){
+			assert.equal(test.model.length, 5);
+		}).then(function(){
+
+			var sent = [];
+
+			test.model.settings.transport = counting(test.server.transport(), sent);
+
+			return test.model.api().get(null, 1).then(function(){
+				assert.equal(sent[0].headers['X-Test'], 'yes');
+				assert.equal(sent[0].headers.Authorization, 'Bearer abc');
+			});
+		});
+	});
+
+	QUnit.test('a 401 refreshes the token, and replays the request once', function(assert){
+
+		var refreshed = 0,
+			test      = Test.setup(null, {
+				auth : function(refresh){
+					if( refresh )
+					{
+						refreshed++;
+					}
+
+					return refresh ? 'new' : 'old';
+				}
+			}),
+			sent = [];
+
+		test.model.settings.transport = counting(test.server.transport(), sent);
+		test.server.fail('GET', Test.endpoint + '/1', 401);
+
+		return test.model.api().get(null, 1).then(function(response){
+			assert.equal(refreshed, 1);
+			assert.equal(sent.length, 2);
+			assert.equal(sent[1].headers.Authorization, 'Bearer new');
+			assert.equal(response.data.name, 'Sam');
+		});
+	});
+
+	QUnit.test('aborting while the token is refreshed rejects the request', function(assert){
+
+		var refreshing = $.Deferred(),
+			test       = Test.setup(null, {
+				auth : function(refresh){
+					if( refresh )
+					{
+						setTimeout(function(){ request.abort(); }, 10);
+						return refreshing.promise();
+					}
+
+					return 'old';
+				}
+			}),
+			request;
+
+		test.server.fail('GET', Test.endpoint + '/1', 401);
+
+		request = test.model.api().get(null, 1);
+
+		return Test.rejected(assert, request).then(function(rejected){
+			assert.equal(rejected[1], 'abort');
+		});
+	});
+
+	QUnit.test('an auth provider that throws rejects the request', function(assert){
+
+		var test = Test.setup(null, {
+			auth : function(){
+				throw 'No session';
+			}
+		});
+
+		return Test.rejected(assert, test.model.api().get(null, 1)).then(function(rejected){
+			assert.equal(rejected[1], 'error');
+			assert.equal(rejected[2], 'No session');
+		});
+	});
+
+	QUnit.test('interceptors can rewrite requests and responses', function(assert){
+
+		var test = Test.setup(null, {
+			interceptors : {
+				request  : [function(request){ request.url = request.url.replace('/users/9', '/users/2'); }],
+				response : [function(response){ return { data : $.extend({ intercepted : true }, response.data) }; }]
+			}
+		});
+
+		return test.model.api().get(null, 9).then(function(response){
+			assert.equal(response.data.name, 'Josh');
+			assert.ok(response.data.intercepted);
+		});
+	});
+
+	QUnit.test('failed GETs are retried, with a retry event', function(assert){
+
+		var test    = Test.setup(null, { retry : { attempts : 3, delay : 1, jitter : 0 } }),
+			retries = [];
+
+		test.model.on('retry', function(attempt){
+			retries.push(attempt);
+		});
+
+		test.server.fail('GET', Test.endpoint, 503, 2);
+
+		return test.model.init().then(function(){
+			assert.deepEqual(retries, [1, 2]);
+			assert.equal(test.model.length, 5);
+		});
+	});
+
+	QUnit.test('PUTs are not retried unless asked to', function(assert){
+
+		var test = Test.setup(null, { retry : { attempts : 3, delay : 1, jitter : 0 } }),
+			sent = [];
+
+		test.model.settings.transport = counting(test.server.transport(), sent);
+		test.server.fail('PUT', Test.endpoint + '/1', 503);
+
+		return Test.rejected(assert, test.model.api().put({ name : 'Sam' }, 1)).then(function(){
+			assert.equal(sent.length, 1);
+		});
+	});
+
+	QUnit.test('the cache shares identical GETs, and is cleared by writes', function(assert){
+
+		var test = Test.setup(null, { cache : 1000 }),
+			sent = [];
+
+		test.model.settings.transport = counting(test.server.transport(), sent);
+
+		return $.when(test.model.api().get({ status : 'active' }), test.model.api().get({ status : 'active' })).then(function(){
+			assert.equal(sent.length, 1, 'in flight requests are shared');
+			return test.model.api().get({ status : 'active' });
+		}).then(function(){
+			assert.equal(sent.length, 1, 'responses are cached');
+			return test.model.api().put({ name : 'Sammy' }, 1);
+		}).then(function(){
+			return test.model.api().get({ status : 'active' });
+		}).then(function(response){
+			assert.equal(sent.length, 3, 'writes clear the cache');
+			assert.equal(response.data[0].name, 'Sammy');
+		});
+	});
+
+	QUnit.test('stale responses are served while the cache is refreshed', function(assert){
+
+		var test = Test.setup(null, { cache : { ttl : 100, stale : true } }),
+			sent = [];
+
+		test.model.settings.transport = counting(test.server.transport(), sent);
+
+		return test.model.api().get(null, 1).then(function(){
+			return Test.wait(120);
+		}).then(function(){
+			test.server.endpoints[Test.endpoint].records[0].name = 'Changed';
+			return test.model.api().get(null, 1);
+		}).then(function(response){
+			assert.equal(response.data.name, 'Sam', 'the stale response is served straight away');
+			assert.equal(sent.length, 2, 'while the cache is refreshed');
+			return Test.wait(10);
+		}).then(function(){
+			return test.model.api().get(null, 1);
+		}).then(function(response){
+			assert.equal(response.data.name, 'Changed', 'from the refreshed cache');
+			assert.equal(sent.length, 2);
+		});
+	});
+
+	QUnit.test('aborting a shared GET only lets go of that caller', function(assert){
+
+		var test    = Test.setup(null, { cache : 1000 }),
+			sent    = [],
+			aborted = 0,
+			first, second, alone;
+
+		test.model.settings.transport = counting(test.server.transport(), sent);
+		test.model.on('abort', function(){
+			aborted++;
+		});
+
+		first  = test.model.api().get({ status : 'active' }, undefined, { channel : 'first' });
+		second = test.model.api().get({ status : 'active' }, undefined, { channel : 'second' });
+
+		first.abort();
+
+		return Test.rejected(assert, first).then(function(rejected){
+			assert.equal(rejected[1], 'abort');
+			return second;
+		}).then(function(response){
+			assert.equal(response.data.length, 3, 'the other caller still gets the response');
+			assert.equal(sent.length, 1);
+			assert.equal(aborted, 0, 'the request itself carried on');
+
+			alone = test.model.api().get({ status : 'inactive' });
+			alone.abort();
+
+			return Test.rejected(assert, alone);
+		}).then(function(){
+			assert.equal(aborted, 1, 'aborted once nobody was left waiting');
+		});
+	});
+
+	QUnit.test('writes through one instance clear the cache of the others', function(assert){
+
+		var test  = Test.setup(null, { cache : 1000 }),
+			other = new test.Model(),
+			sent  = [];
+
+		test.model.settings.transport = counting(test.server.transport(), sent);
+
+		return test.model.api().get({ status : 'active' }).then(function(){
+			return other.api().put({ name : 'Sammy' }, 1);
+		}).then(function(){
+			return test.model.api().get({ status : 'active' });
+		}).then(function(response){
+			assert.equal(sent.length, 3, 'the GET was sent again');
+			assert.equal(response.data[0].name, 'Sammy');
+		});
+	});
+
+	QUnit.test('models on the same endpoint have their own caches', function(assert){
+
+		var users  = Test.setup(null, { cache : 1000, auth : function(){ return 'user'; } }),
+			admins = Test.setup([{ id : 9, name : 'Admin' }], { cache : 1000, auth : function(){ return 'admin'; } });
+
+		return users.model.init().then(function(){
+			return admins.model.init();
+		}).then(function(){
+			assert.deepEqual(Test.ids(users.model), [1, 2, 3, 4, 5]);
+			assert.deepEqual(Test.ids(admins.model), [9]);
+		});
+	});
+
+	QUnit.test('requests fire request, sync, error and abort events', function(assert){
+
+		var test  = Test.setup(),
+			fired = Test.record(test.model, ['request', 'sync', 'error', 'abort']);
+
+		return test.model.api().get(null, 1).then(function(){
+			assert.deepEqual(fired, ['request', 'sync']);
+			fired.length = 0;
+			return Test.rejected(assert, test.model.api().get(null, 99));
+		}).then(function(rejected){
+			assert.equal(rejected[0].status, 404);
+			assert.deepEqual(fired, ['request', 'error']);
+			fired.length = 0;
+
+			var request = test.model.api().get(null, 2);
+
+			request.abort();
+
+			return Test.rejected(assert, request);
+		}).then(function(){
+			assert.deepEqual(fired, ['request', 'abort']);
+		});
+	});
+
+	QUnit.test('with _last_request set, only list GETs abort each other', function(assert){
+
+		var test   = Test.setup(null, null, { _last_request : true }),
+			first  = test.model.api().get({ status : 'active' }),
+			put    = test.model.api().put({ name : 'Sammy' }, 1),
+			detail = test.model.api().get(null, 2),
+			second = test.model.api().get({ status : 'inactive' });
+
+		return Test.rejected(assert, first).then(function(rejected){
+			assert.equal(rejected[1], 'abort', 'the earlier list GET was aborted');
+			return $.when(put, detail, second);
+		}).then(function(){
+			assert.equal(test.server.records(Test.endpoint)[0].name, 'Sammy', 'the PUT and the record GET were left alone');
+		});
+	});
+
+	QUnit.test('native Promises reject with a CD_Model.Request_Error', function(assert){
+
+		var test    = Test.setup(null, { promise : 'native' }),
+			promise = test.model.api().get(null, 99);
+
+		assert.ok(promise instanceof window.Promise);
+
+		return promise.then(function(){
+			assert.ok(false, 'should reject');
+		}, function(error){
+			assert.ok(error instanceof CD_Model.Request_Error);
+			assert.ok(error instanceof Error);
+			assert.equal(error.status, 404);
+			assert.deepEqual(error.response, { message : 'Not Found' });
+			assert.strictEqual(error.aborted, false);
+		});
+	});
+
+	QUnit.test('aborted native Promises reject with aborted set', function(assert){
+
+		var test    = new CD_Model.Mock_Server({ latency : 50 }),
+			Model   = CD_Model.extend({ settings : { endpoint : Test.endpoint, transport : test.transport(), promise : 'native' } }),
+			promise = new Model().api().get(null, 1);
+
+		test.seed(Test.endpoint, Test.users());
+		promise.abort();
+
+		return promise.then(function(){
+			assert.ok(false, 'should reject');
+		}, function(error){
+			assert.ok(error.aborted);
+		});
+	});
+
+	QUnit.test('the model makes its own requests through an overridden api()', function(assert){
+
+		var calls = [],
+			test  = Test.setup(null, { promise : 'native' }, {
+				api : function(){
+
+					var api = CD_Model.prototype.api.call(this);
+
+					$.each(['get', 'put'], function(i, method){
+						var send = api[method];
+
+						api[method] = function(){
+							calls.push(method);
+							return send.apply(api, arguments);
+						};
+					});
+
+					return api;
+				}
+			});
+
+		return test.model.init().then(function(){
+			assert.equal(test.model.length, 5);
+			return test.model.get(1).set({ name : 'Sammy' }).save();
+		}).then(function(){
+			assert.deepEqual(calls, ['get', 'put']);
+			assert.equal(test.server.records(Test.endpoint)[0].name, 'Sammy');
+			return test.model.get(2).refresh();
+		}).then(function(){
+			assert.deepEqual(calls, ['get', 'put', 'get']);
+		});
+	});
+
+	QUnit.test('loads on a channel merge the results from an overridden api() that returns native Promises', function(assert){
+
+		var test = Test.setup(null, { promise : 'native', abort : true }, {
+			api : function(){
+				return CD_Model.prototype.api.call(this);
+			}
+		});
+
+		return test.model.init().then(function(){
+			assert.equal(test.model.length, 5);
+			return test.model.filter('status', 'inactive', { strategy : 'replace' });
+		}).then(function(){
+			assert.deepEqual(Test.ids(test.model), [2, 5]);
+		});
+	});
+
+	QUnit.test('custom transports can be given as a function', function(assert){
+
+		var Model = CD_Model.extend({
+			settings : {
+				endpoint  : Test.endpoint,
+				transport : function(request){
+					return $.Deferred().resolve({ data : [{ id : 1, url : request.url }] }, 'success', { status : 200, getResponseHeader : function(){ return null; } }).promise();
+				}
+			}
+		});
+
+		var model = new Model();
+
+		return model.init().then(function(){
+			assert.equal(model[0].url, Test.endpoint);
+		});
+	});
+
+	QUnit.test('the fetch transport sends requests with the global fetch', function(assert){
+
+		var original = window.fetch,
+			sent     = [],
+			Model    = CD_Model.extend({ settings : { endpoint : Test.endpoint, params : {}, transport : 'fetch' } }),
+			model    = new Model();
+
+		window.fetch = function(url, init){
+
+			sent.push(init.method + ' ' + url);
+
+			return window.Promise.resolve({
+				status     : 200,
+				statusText : 'OK',
+				headers    : { get : function(){ return null; } },
+				text       : function(){ return window.Promise.resolve(JSON.stringify({ data : [{ id : 1 }] })); }
+			});
+		};
+
+		return model.init().then(function(){
+			window.fetch = original;
+			assert.deepEqual(sent, ['GET ' + Test.endpoint]);
+			assert.equal(model[0].id, 1);
+		}, function(){
+			window.fetch = original;
+			assert.ok(false, 'the request failed');
+		});
+	});
+
+	QUnit.test('the fetch transport cancels requests that time out or are aborted', function(assert){
+
+		var original = window.fetch,
+			signals  = [],
+			Model    = CD_Model.extend({ settings : { endpoint : Test.endpoint, params : {}, transport : 'fetch', timeout : 20 } }),
+			model    = new Model();
+
+		// Never responds, so the request only ends when it's cancelled.
+		window.fetch = function(url, init){
+
+			signals.push(init.signal);
+
+			return new window.Promise(function(resolve, reject){
+				init.signal.addEventListener('abort', function(){
+					reject(new Error('The operation was aborted.'));
+				});
+			});
+		};
+
+		return Test.rejected(assert, model.api().get(null, 1)).then(function(rejected){
+			assert.equal(rejected[1], 'timeout');
+			assert.ok(signals[0].aborted, 'the fetch was cancelled when it timed out');
+
+			var request = model.api().get(null, 2);
+
+			request.abort();
+
+			return Test.rejected(assert, request);
+		}).then(function(rejected){
+			window.fetch = original;
+			assert.equal(rejected[1], 'abort');
+			assert.ok(signals[1].aborted, 'the fetch was cancelled when it was aborted');
+		}, function(){
+			window.fetch = original;
+		});
+	});
+
+	QUnit.test('the mock server creates, updates and deletes records', function(assert){
+
+		var test = Test.setup();
+
+		return test.model.api().post({ name : 'New' }).then(function(response){
+			assert.equal(response.data.id, 6);
+			return test.model.api().put({ name : 'Samuel' }, 1);
+		}).then(function(response){
+			assert.equal(response.data.name, 'Samuel');
+			return test.model.api().delete(null, 2);
+		}).then(function(){
+			assert.deepEqual($.map(test.server.records(Test.endpoint), function(record){ return record.name; }), ['Samuel', 'Craig', 'Sally', 'Ann', 'New']);
+		});
+	});
+
+	QUnit.test('query strings are written and parsed with arrays and nested params', function(assert){
+
+		var params = { status : ['a', 'b'], filter : { owner : 4 }, active : true };
+
+		assert.equal(decodeURIComponent(CD_Model.serialize(params)), 'status=a,b&filter[owner]=4&active=true');
+		assert.equal(decodeURIComponent(CD_Model.serialize(params, { arrays : 'brackets', sort : true })), 'active=true&filter[owner]=4&status[]=a&status[]=b');
+		assert.equal(decodeURIComponent(CD_Model.serialize(params, { arrays : 'repeat', booleans : 'number' })), 'status=a&status=b&filter[owner]=4&active=1');
+
+		assert.deepEqual(CD_Model.parse('?status[]=a&status[]=b&filter[owner]=4'), { status : ['a', 'b'], filter : { owner : '4' } });
+		assert.deepEqual(CD_Model.parse('status=a&status=b'), { status : ['a', 'b'] });
+		assert.deepEqual(CD_Model.parse('status=a,b', { arrays : 'comma' }), { status : ['a', 'b'] });
+	});
+
+})(jQuery);
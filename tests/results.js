@@ -0,0 +1,321 @@
+/* global jQuery:true */
+/* global CD_Model:true */
+/* global CD_Result:true */
+/* global QUnit:true */
+/* global Test:true */
+
+(function($){
+
+	"use strict";
+
+	QUnit.module('Results');
+
+	QUnit.test('results save, refresh and destroy themselves', function(assert){
+
+		var test  = Test.setup(),
+			model = test.model,
+			fired = Test.record(model, ['add', 'remove']),
+			built;
+
+		return model.init().then(function(){
+
+			fired.length = 0;
+			model.get(1).name = 'Samuel';
+
+			return model.get(1).save({ changed_only : true });
+		}).then(function(){
+			assert.equal(test.server.records(Test.endpoint)[0].name, 'Samuel');
+			assert.notOk(model.get(1).is_dirty());
+
+			built = model.build({ name : 'New' });
+
+			return built.save();
+		}).then(function(){
+			assert.equal(built.id, 6);
+			assert.equal(model[model.length - 1], built, 'new results join the collection');
+
+			test.server.endpoints[Test.endpoint].records[1].name = 'Joshua';
+
+			return model.get(2).refresh();
+		}).then(function(){
+			assert.equal(model.get(2).name, 'Joshua');
+			return model.get(3).destroy();
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [1, 2, 4, 5, 6]);
+			assert.deepEqual(fired, ['add:6', 'remove:3']);
+		});
+	});
+
+	QUnit.test('refresh() skips the cache', function(assert){
+
+		var test = Test.setup(null, { cache : 60000 });
+
+		return test.model.init().then(function(){
+			return test.model.api().get(null, 1);
+		}).then(function(){
+			test.server.endpoints[Test.endpoint].records[0].name = 'Changed';
+			return test.model.get(1).refresh();
+		}).then(function(){
+			assert.equal(test.model.get(1).name, 'Changed');
+		});
+	});
+
+	QUnit.test('results track changes, and revert them', function(assert){
+
+		var result = new CD_Result({ id : 1, name : 'Sam', tags : ['a'] });
+
+		assert.notOk(result.is_dirty());
+
+		result.name = 'Samuel';
+		result.tags.push('b');
+
+		assert.ok(result.is_dirty('name'));
+		assert.deepEqual(result.changed(), { name : { from : 'Sam', to : 'Samuel' }, tags : { from : ['a'], to : ['a', 'b'] } });
+
+		result.revert();
+
+		assert.equal(result.name, 'Sam');
+		assert.deepEqual(result.tags, ['a']);
+		assert.notOk(result.is_dirty());
+	});
+
+	QUnit.test('schemas cast, default and validate fields', function(assert){
+
+		window.Test_Schema_Result = CD_Result.extend({
+			schema : {
+				id         : 'number',
+				name       : { type : 'string', required : true },
+				active     : { type : 'boolean', default : true },
+				role       : { type : 'enum', values : ['admin', 'user'] },
+				created_at : 'date'
+			}
+		});
+
+		var test   = Test.setup([{ id : '1', name : '', role : 'owner', created_at : '2020-01-02T00:00:00.000Z' }], null, { Result_Model : 'Test_Schema_Result' }),
+			model  = test.model,
+			invalid = [];
+
+		model.on('invalid', function(result, errors){
+			invalid.push(errors);
+		});
+
+		return model.init().then(function(){
+
+			var result = model[0];
+
+			assert.strictEqual(result.id, 1);
+			assert.strictEqual(result.active, true);
+			assert.ok(result.created_at instanceof Date);
+			assert.deepEqual(result.validate(), { name : 'This field is required.', role : 'Must be one of: admin, user.' });
+
+			return Test.rejected(assert, result.save());
+		}).then(function(rejected){
+			assert.ok(rejected[0].name);
+			assert.equal(invalid.length, 1);
+			assert.equal(model[0].toJSON().created_at, '2020-01-02T00:00:00.000Z');
+		});
+	});
+
+	QUnit.test('computed properties are worked out from other fields', function(assert){
+
+		var Result = CD_Result.extend({
+				computed : {
+					full_name : {
+						depends : ['first', 'last'],
+						get     : function(){ return this.first + ' ' + this.last; },
+						set     : function(value){
+							this.first = value.split(' ')[0];
+							this.last  = value.split(' ')[1];
+						}
+					}
+				}
+			}),
+			result = new Result({ first : 'Sam', last : 'Sehnert' });
+
+		assert.equal(result.full_name, 'Sam Sehnert');
+		assert.ok(Object.keys(result).indexOf('full_name') !== -1, 'enumerable');
+		assert.equal(result.toJSON().full_name, undefined, 'not sent to the server');
+
+		result.set('full_name', 'Josh Smith');
+
+		assert.equal(result.first, 'Josh');
+		assert.equal(result.full_name, 'Josh Smith');
+	});
+
+	QUnit.test('relations resolve from loaded collections', function(assert){
+
+		var teams = new CD_Model.Mock_Server(),
+			test, team_model;
+
+		teams.seed('https://api.example.com/teams', [{ id : 1, name : 'One' }, { id : 2, name : 'Two' }]);
+
+		window.Test_Teams_Model = CD_Model.extend({ settings : { endpoint : 'https://api.example.com/teams', params : {}, transport : teams.transport() } });
+		window.Test_Users_Result = CD_Result.extend({
+			relations : {
+				team : { type : 'belongs_to', model : 'Test_Teams_Model' }
+			}
+		});
+
+		test       = Test.setup(null, null, { Result_Model : 'Test_Users_Result' });
+		team_model = new window.Test_Teams_Model();
+
+		return $.when(test.model.init(), team_model.init()).then(function(){
+			return test.model.get(1).team();
+		}).then(function(team){
+			assert.equal(team, team_model.get(1), 'taken from the loaded collection');
+			team_model.dispose();
+			test.model.dispose();
+		});
+	});
+
+	QUnit.test('embedded relations never hide the accessor', function(assert){
+
+		var test;
+
+		window.Test_Teams_Model = CD_Model.extend({ settings : { endpoint : 'https://api.example.com/teams', params : {} } });
+		window.Test_Users_Result = CD_Result.extend({
+			relations : {
+				team : { type : 'belongs_to', model : 'Test_Teams_Model' }
+			}
+		});
+
+		test = Test.setup(null, { params : { limit : 5 } }, { Result_Model : 'Test_Users_Result' });
+
+		return test.model.init().then(function(){
+
+			var result = test.model.get(1);
+
+			result.set({ team_id : 3, team : { id : 3, name : 'Set' } });
+
+			assert.equal(typeof result.team, 'function', 'after set()');
+			assert.ok(Object.keys(result).indexOf('team') === -1, 'not an own property');
+
+			test.server.endpoints[Test.endpoint].records[0].team_id = 4;
+			test.server.endpoints[Test.endpoint].records[0].team    = { id : 4, name : 'Refreshed' };
+
+			return result.refresh().then(function(){
+				assert.equal(typeof result.team, 'function', 'after refresh()');
+				return result.team();
+			});
+		}).then(function(team){
+			assert.equal(team.name, 'Refreshed');
+
+			test.server.endpoints[Test.endpoint].records[1].team = { id : 2, name : 'Merged' };
+
+			return test.model.page(1, undefined, { strategy : 'merge' });
+		}).then(function(){
+			assert.equal(typeof test.model.get(2).team, 'function', 'after a merge');
+			return test.model.get(2).team();
+		}).then(function(team){
+			assert.equal(team.name, 'Merged');
+			test.model.dispose();
+		});
+	});
+
+	QUnit.test('dispose() forgets the instance', function(assert){
+
+		var Model = CD_Model.extend({ settings : { endpoint : Test.endpoint, params : {} } }),
+			model = new Model();
+
+		assert.equal(Model._instances.length, 1);
+		assert.notEqual(Model._instances[0], model, 'only held weakly');
+		assert.equal(Model._instances[0].deref(), model);
+
+		model.dispose();
+
+		assert.equal(Model._instances.length, 0);
+	});
+
+	QUnit.test('optimistic deletes are rolled back when they fail', function(assert){
+
+		var test     = Test.setup(null, { optimistic : true }),
+			model    = test.model,
+			rollback = [];
+
+		model.on('rollback', function(error, result){
+			rollback.push([error.status, result.id]);
+		});
+
+		return model.init().then(function(){
+
+			var request;
+
+			test.server.fail('DELETE', Test.endpoint + '/2', 500);
+
+			request = model.get(2).destroy();
+
+			assert.deepEqual(Test.ids(model), [1, 3, 4, 5], 'removed straight away');
+
+			return Test.rejected(assert, request);
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [1, 2, 3, 4, 5], 'put back where it was');
+			assert.deepEqual(rollback, [[500, 2]]);
+		});
+	});
+
+	QUnit.test('optimistic saves are rolled back when they fail', function(assert){
+
+		var test  = Test.setup(null, { optimistic : true }),
+			model = test.model;
+
+		return model.init().then(function(){
+
+			var request;
+
+			test.server.fail('PUT', Test.endpoint + '/1', 500);
+			test.server.fail('POST', Test.endpoint, 500);
+
+			model.get(1).set('name', 'Samuel');
+			request = model.get(1).save();
+
+			model.build({ name : 'New' }).save();
+
+			assert.equal(model.length, 6, 'new results join the collection straight away');
+
+			return Test.rejected(assert, request);
+		}).then(function(){
+			return Test.wait(10);
+		}).then(function(){
+			assert.equal(model.get(1).name, 'Sam');
+			assert.equal(model.length, 5);
+		});
+	});
+
+	QUnit.test('optimistic rollbacks keep changes made while the request was in flight', function(assert){
+
+		var test  = Test.setup(null, { optimistic : true }),
+			model = test.model;
+
+		return model.init().then(function(){
+
+			var request;
+
+			test.server.fail('PUT', Test.endpoint + '/1', 500);
+			test.server.fail('DELETE', Test.endpoint + '/3', 500);
+
+			model.get(1).set('name', 'Samuel');
+			request = model.get(1).save();
+
+			// Changed after the save was sent.
+			model.get(1).set('status', 'inactive');
+
+			return Test.rejected(assert, request);
+		}).then(function(){
+
+			var request;
+
+			assert.equal(model.get(1).name, 'Sam', 'the field that was sent is reverted');
+			assert.equal(model.get(1).status, 'inactive', 'the later change is kept');
+
+			request = model.get(3).destroy();
+
+			// The results before it move while the request is in flight.
+			model.splice(0, 1);
+
+			return Test.rejected(assert, request);
+		}).then(function(){
+			assert.deepEqual(Test.ids(model), [2, 3, 4, 5], 'put back after the result it was after');
+		});
+	});
+
+})(jQuery);